@@ -0,0 +1,101 @@
+// Aggregate statistics over the results of many headless games
+// (see Headless.playBatch), reported from my bot's point of view.
+var Batch = {
+    CSV_COLUMNS: ["group", "key", "games", "wins", "losses", "ties", "win_rate", "loss_rate", "tie_rate",
+                  "avg_turns", "avg_categories_won", "unfinished", "faults", "opponent_faults",
+                  "forfeits", "opponent_forfeits"],
+
+    summarize: function(results) {
+        return {
+            seats: results.length > 0 ? results[0].seats : [],
+            all: Batch.statistics(results),
+            byBoardSize: Batch.breakdown(results, function(result) {
+                return result.width + "x" + result.height;
+            }),
+            byItemTypes: Batch.breakdown(results, function(result) {
+                return String(result.numberOfItemTypes);
+            })
+        };
+    },
+    statistics: function(results) {
+        var games = results.length;
+        var count = function(outcome) {
+            return results.filter(function(result) { return result.outcome === outcome; }).length;
+        };
+        var average = function(field) {
+            var total = results.reduce(function(sum, result) { return sum + result[field]; }, 0);
+            return games > 0 ? total / games : 0;
+        };
+        // my bot's when mine, otherwise the opponents' put together
+        var faults = function(mine) {
+            return results.reduce(function(sum, result) {
+                return sum + result.faults.filter(function(fault) { return (fault.seat === 0) === mine; }).length;
+            }, 0);
+        };
+        var forfeits = function(mine) {
+            return results.filter(function(result) {
+                return result.forfeited.some(function(seat) { return (seat === 0) === mine; });
+            }).length;
+        };
+        var wins = count("win"), losses = count("lose"), ties = count("tie");
+        return {
+            games: games,
+            wins: wins,
+            losses: losses,
+            ties: ties,
+            winRate: games > 0 ? wins / games : 0,
+            lossRate: games > 0 ? losses / games : 0,
+            tieRate: games > 0 ? ties / games : 0,
+            averageTurns: average("turns"),
+            averageCategoriesWon: average("categoriesWon"),
+            unfinished: results.filter(function(result) { return !result.finished; }).length,
+            faults: faults(true),
+            opponentFaults: faults(false),
+            forfeits: forfeits(true),
+            opponentForfeits: forfeits(false)
+        };
+    },
+    // statistics for each group of results that share the same key
+    breakdown: function(results, keyOf) {
+        var groups = {};
+        results.forEach(function(result) {
+            var key = keyOf(result);
+            (groups[key] = groups[key] || []).push(result);
+        });
+        var breakdown = {};
+        Object.keys(groups).sort(Batch.compareKeys).forEach(function(key) {
+            breakdown[key] = Batch.statistics(groups[key]);
+        });
+        return breakdown;
+    },
+    // sorts "9x5" before "10x5" and "3" before "4"
+    compareKeys: function(a, b) {
+        var x = a.split("x").map(Number), y = b.split("x").map(Number);
+        for (var i=0; i<x.length; i++) {
+            if (x[i] !== y[i]) {
+                return x[i] - y[i];
+            }
+        }
+        return 0;
+    },
+    toCsv: function(summary) {
+        var rows = [Batch.CSV_COLUMNS.join(",")];
+        var addRow = function(group, key, stats) {
+            rows.push([group, key, stats.games, stats.wins, stats.losses, stats.ties,
+                       stats.winRate.toFixed(4), stats.lossRate.toFixed(4), stats.tieRate.toFixed(4),
+                       stats.averageTurns.toFixed(2), stats.averageCategoriesWon.toFixed(2),
+                       stats.unfinished, stats.faults, stats.opponentFaults,
+                       stats.forfeits, stats.opponentForfeits].join(","));
+        };
+        addRow("all", "", summary.all);
+        for (var size in summary.byBoardSize) {
+            addRow("board_size", size, summary.byBoardSize[size]);
+        }
+        for (var types in summary.byItemTypes) {
+            addRow("item_types", types, summary.byItemTypes[types]);
+        }
+        return rows.join("\n") + "\n";
+    }
+};
+
+module.exports = Batch;
@@ -1,156 +1,752 @@
 var Board = {
-    init: function() {
-        var fullBoard;
-
-        // initialize board
-        HEIGHT = Math.min(Math.floor(Math.random() * 11) + 5, 15);
-        WIDTH = Math.min(Math.floor(Math.random() * 11) + 5, 15);
-        Board.board = new Array(WIDTH);
-
-        for (var i=0; i<WIDTH; i++) {
-            Board.board[i] = new Array(HEIGHT);
-            for (var j=0; j<HEIGHT; j++) {
-                Board.board[i][j] = 0;
+    // how Board.init generates boards. the sizes are [smallest, largest] and
+    // distribution is how much fruit there is of each type:
+    //   "increasing" - 1, 3, 5, ... fruit
+    //   "equal"      - count fruit of every type
+    //   "random_odd" - a random odd number of fruit up to count
+    // start is where both bots start: "random", "center" or "corner". walls is
+    // the percentage of cells that become walls, as far as they can without
+    // cutting off part of the board
+    generation: {
+        width: [5, 15],
+        height: [5, 15],
+        itemTypes: [3, 5],
+        distribution: "increasing",
+        count: 3,
+        start: "random",
+        walls: 0
+    },
+    // throws an error saying what is wrong if generation can't make a board
+    checkGeneration: function(generation) {
+        var range = function(name, lowest, highest) {
+            var value = generation[name];
+            if (!Array.isArray(value) || value.length !== 2 || value.some(function(n) { return n !== Math.floor(n); })) {
+                throw new Error(name + " must be a range of two whole numbers.");
+            }
+            if (value[0] > value[1] || value[0] < lowest || value[1] > highest) {
+                throw new Error(name + " must be a range between " + lowest + " and " + highest + ", not " +
+                                value[0] + "-" + value[1] + ".");
             }
+        };
+        range("width", 1, 30);
+        range("height", 1, 30);
+        range("itemTypes", 1, 5);
+        if (["increasing", "equal", "random_odd"].indexOf(generation.distribution) < 0) {
+            throw new Error("distribution must be increasing, equal or random_odd, not " + generation.distribution + ".");
+        }
+        if (generation.distribution !== "increasing" && !(generation.count >= 1 && generation.count === Math.floor(generation.count))) {
+            throw new Error("count must be a whole number of at least 1.");
+        }
+        if (["random", "center", "corner"].indexOf(generation.start) < 0) {
+            throw new Error("start must be random, center or corner, not " + generation.start + ".");
+        }
+        if (!(generation.walls >= 0 && generation.walls <= 100 && generation.walls === Math.floor(generation.walls))) {
+            throw new Error("walls must be a whole percentage from 0 to 100.");
+        }
+        // the smallest board has to fit the fewest fruit types and still have a free start cell
+        var cells = generation.width[0] * generation.height[0];
+        var fruit = Board.mostFruit(generation, generation.itemTypes[0]);
+        if (fruit >= cells) {
+            throw new Error("A " + generation.width[0] + "x" + generation.height[0] + " board has no room for " +
+                            fruit + " fruit of " + generation.itemTypes[0] + " types and a start cell.");
         }
+    },
+    // the most fruit a board with this many fruit types can get
+    mostFruit: function(generation, itemTypes) {
+        if (generation.distribution === "increasing") {
+            return itemTypes * itemTypes;
+        }
+        var count = generation.distribution === "random_odd" ? Board.largestOdd(generation.count) : generation.count;
+        return itemTypes * count;
+    },
+    largestOdd: function(count) {
+        return count % 2 === 0 ? count - 1 : count;
+    },
+    // a random whole number from range[0] to range[1]
+    randomIn: function(range) {
+        return Math.floor(Random.next() * (range[1] - range[0] + 1)) + range[0];
+    },
+    init: function(seed) {
+        var generation = Board.generation;
+        Board.checkGeneration(generation);
 
-        Board.history = new Array(WIDTH);
+        // every random choice below comes from the seed so the board can be regenerated
+        if (seed === undefined) {
+            seed = Random.newSeed();
+        }
+        Random.setSeed(seed);
 
-        for (var i=0; i<WIDTH; i++) {
-            Board.history[i] = new Array(HEIGHT);
-            for (var j=0; j<HEIGHT; j++) {
-                Board.history[i][j] = 0;
-            }
+        // initialize board
+        var height = Board.randomIn(generation.height);
+        var width = Board.randomIn(generation.width);
+        var board = Board.emptyGrid(width, height);
+        var start = null;
+        if (generation.start === "center") {
+            start = [Math.floor(width / 2), Math.floor(height / 2)];
+        } else if (generation.start === "corner") {
+            start = [0, 0];
         }
 
-        // initialize items on board
+        // initialize items on board, checkGeneration made sure the fewest types fit
+        var numberOfItemTypes;
         do {
-            Board.numberOfItemTypes = Math.floor(Math.random() * 3 + 3);
-        } while(Board.numberOfItemTypes * Board.numberOfItemTypes >= HEIGHT * WIDTH)
-        Board.totalItems = new Array();
-        Board.simpleBotCollected = new Array(Board.numberOfItemTypes);
-        Board.myBotCollected = new Array(Board.numberOfItemTypes);
+            numberOfItemTypes = Board.randomIn(generation.itemTypes);
+        } while(Board.mostFruit(generation, numberOfItemTypes) >= height * width)
+        var totalItems = new Array();
         var x;
         var y;
-        for (var i=0; i<Board.numberOfItemTypes; i++) {
-            Board.myBotCollected[i] = 0;
-            Board.simpleBotCollected[i] = 0;
-            Board.totalItems[i] = i * 2 + 1;
-            for (var j=0; j<Board.totalItems[i]; j++) {
+        for (var i=0; i<numberOfItemTypes; i++) {
+            if (generation.distribution === "equal") {
+                totalItems[i] = generation.count;
+            } else if (generation.distribution === "random_odd") {
+                totalItems[i] = Math.floor(Random.next() * (Board.largestOdd(generation.count) + 1) / 2) * 2 + 1;
+            } else {
+                totalItems[i] = i * 2 + 1;
+            }
+            for (var j=0; j<totalItems[i]; j++) {
                 do {
-                    x = Math.min(Math.floor(Math.random() * WIDTH), WIDTH);
-                    y = Math.min(Math.floor(Math.random() * HEIGHT), HEIGHT);
-                } while (Board.board[x][y] != 0);
-                Board.board[x][y] = i + 1;
+                    x = Math.min(Math.floor(Random.next() * width), width);
+                    y = Math.min(Math.floor(Random.next() * height), height);
+                } while (board[x][y] != 0 || (start && x == start[0] && y == start[1]));
+                board[x][y] = i + 1;
             }
         }
 
         // get them the same starting position
-        do {
-            x = Math.min(Math.floor(Math.random() * WIDTH), WIDTH);
-            y = Math.min(Math.floor(Math.random() * HEIGHT), HEIGHT);
-        } while (Board.board[x][y] != 0);
-        Board.myX = x;
-        Board.myY = y;
-        Board.oppX = x;
-        Board.oppY = y;
-        Board.initial_state = {};
-        jQuery.extend(true, Board.initial_state, Board);
-    },
-    reset: function() {
-        Board = Board.initial_state;
-        Board.initial_state = {};
-        jQuery.extend(true, Board.initial_state, Board);
-        Board.newGame();
-        GamePlay.start();
+        if (!start) {
+            do {
+                x = Math.min(Math.floor(Random.next() * width), width);
+                y = Math.min(Math.floor(Random.next() * height), height);
+            } while (board[x][y] != 0);
+            start = [x, y];
+        }
+
+        var walls = Board.emptyGrid(width, height);
+        if (generation.walls > 0) {
+            Board.placeWalls(walls, board, start, Math.floor(width * height * generation.walls / 100));
+        }
+
+        Board.load({
+            seed: seed,
+            width: width,
+            height: height,
+            numberOfItemTypes: numberOfItemTypes,
+            totalItems: totalItems,
+            board: board,
+            walls: walls,
+            start: start
+        });
     },
-    newGame: function() {
-        var new_game_exists = undefined;
-        try {
-            new_game_exists = new_game;
-        } catch(e) {
+    // tries the empty cells in random order and keeps each one as a wall unless
+    // it cuts off any other open cell
+    placeWalls: function(walls, board, start, count) {
+        var cells = [];
+        for (var i=0; i<board.length; i++) {
+            for (var j=0; j<board[i].length; j++) {
+                if (board[i][j] == 0 && (i != start[0] || j != start[1])) {
+                    cells.push([i, j]);
+                }
+            }
         }
-        if(new_game_exists !== undefined) {
-            new_game();
+        var open = board.length * board[0].length;
+        for (var n=cells.length - 1; n>=0 && count>0; n--) {
+            var pick = Math.floor(Random.next() * (n + 1));
+            var cell = cells[pick];
+            cells[pick] = cells[n];
+            walls[cell[0]][cell[1]] = 1;
+            if (Board.countReachable(walls, start) === open - 1) {
+                open--;
+                count--;
+            } else {
+                walls[cell[0]][cell[1]] = 0;
+            }
         }
-        // SimpleBot currently doesn't need any sort of init, but if it did, it'd be called here too
     },
-    processMove: function() {
-        var myMove = make_move();
-        var simpleBotMove = SimpleBot.makeMove();
-        if ((Board.myX == Board.oppX) && (Board.myY == Board.oppY) && (myMove == TAKE) && (simpleBotMove == TAKE) && Board.board[Board.myX][Board.myY] > 0) {
-            Board.myBotCollected[Board.board[Board.myX][Board.myY]-1] = Board.myBotCollected[Board.board[Board.myX][Board.myY]-1] + 0.5;
-            Board.simpleBotCollected[Board.board[Board.oppX][Board.oppY]-1] = Board.simpleBotCollected[Board.board[Board.oppX][Board.oppY]-1] + 0.5;
-            Board.board[Board.myX][Board.myY] = 0; 
-        } else {
-            if (myMove == TAKE && Board.board[Board.myX][Board.myY] > 0) {
-                Board.myBotCollected[Board.board[Board.myX][Board.myY]-1]++;
-                Board.board[Board.myX][Board.myY] = 0; 
+    // which cells can be walked to from start without going through a wall
+    reachable: function(walls, start) {
+        var reached = Board.emptyGrid(walls.length, walls[0].length);
+        var queue = [start];
+        reached[start[0]][start[1]] = 1;
+        while (queue.length > 0) {
+            var cell = queue.shift();
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(function(step) {
+                var x = cell[0] + step[0], y = cell[1] + step[1];
+                if (x >= 0 && y >= 0 && x < walls.length && y < walls[0].length && !walls[x][y] && !reached[x][y]) {
+                    reached[x][y] = 1;
+                    queue.push([x, y]);
+                }
+            });
+        }
+        return reached;
+    },
+    countReachable: function(walls, start) {
+        return Board.reachable(walls, start).reduce(function(sum, column) {
+            return sum + column.reduce(function(a, b) { return a + b; }, 0);
+        }, 0);
+    },
+    // sets up a game on the given board for players bots (one for every seat
+    // unless given), they all start at layout.start
+    load: function(layout, players) {
+        players = players || Board.seats.length;
+        Board.seed = layout.seed;
+        WIDTH = layout.width;
+        HEIGHT = layout.height;
+        Board.board = Board.copy(layout.board);
+        Board.walls = layout.walls ? Board.copy(layout.walls) : Board.emptyGrid(WIDTH, HEIGHT);
+        Board.history = Board.emptyGrid(WIDTH, HEIGHT);
+        Board.numberOfItemTypes = layout.numberOfItemTypes;
+        Board.totalItems = layout.totalItems.slice();
+        // positions[seat] is [x, y] and collected[seat][type - 1] how much fruit of the type it has
+        Board.positions = [];
+        Board.collected = [];
+        for (var seat=0; seat<players; seat++) {
+            Board.positions.push(layout.start.slice());
+            Board.collected.push([]);
+            for (var i=0; i<Board.numberOfItemTypes; i++) {
+                Board.collected[seat].push(0);
             }
-            if (simpleBotMove == TAKE && Board.board[Board.oppX][Board.oppY] > 0) {
-                Board.simpleBotCollected[Board.board[Board.oppX][Board.oppY]-1]++;
-                Board.board[Board.oppX][Board.oppY] = 0; 
+        }
+        // split[type - 1] is how many fruit of the type were shared by bots taking them together
+        Board.split = [];
+        for (var i=0; i<Board.numberOfItemTypes; i++) {
+            Board.split.push(0);
+        }
+        Board.start = layout.start.slice();
+        Board.turn = 0;
+        Board.moves = [];
+        Board.faults = [];
+        Board.annotations = [];
+        Board.traces = [];
+        Board.replayMoves = null;
+        Board.replaySeats = null;
+        Board.timeline = [Board.snapshot()];
+        Board.initial_state = Board.copyState();
+    },
+    // the board the game started on, in the form Board.loadLayout takes
+    layout: function() {
+        var start = Board.initial_state;
+        return {
+            seed: start.seed,
+            width: WIDTH,
+            height: HEIGHT,
+            numberOfItemTypes: start.numberOfItemTypes,
+            totalItems: start.totalItems.slice(),
+            board: Board.copy(start.board),
+            walls: Board.copy(start.walls),
+            start: start.start.slice()
+        };
+    },
+    // sets up a game on a saved or hand-made board. the fruit is counted on the
+    // board itself, so only width, height, board and start are needed, walls is
+    // optional. a board that wasn't generated from a seed has the seed null
+    loadLayout: function(layout) {
+        var whole = function(value, lowest, highest) {
+            return value === Math.floor(value) && value >= lowest && value <= highest;
+        };
+        ["width", "height", "board", "start"].forEach(function(key) {
+            if (layout[key] === undefined) {
+                throw new Error("Not a board, it has no " + key + ".");
             }
+        });
+        if (!whole(layout.width, 1, 30) || !whole(layout.height, 1, 30)) {
+            throw new Error("A board is 1 to 30 cells wide and high, not " + layout.width + "x" + layout.height + ".");
+        }
+        var board = layout.board;
+        var fits = Array.isArray(board) && board.length === layout.width && board.every(function(column) {
+            return Array.isArray(column) && column.length === layout.height && column.every(function(cell) {
+                return whole(cell, 0, 5);
+            });
+        });
+        if (!fits) {
+            throw new Error("The board must be " + layout.width + " columns of " + layout.height +
+                            " cells holding 0 (empty) or a fruit type from 1 to 5.");
+        }
+        var walls = layout.walls || Board.emptyGrid(layout.width, layout.height);
+        var wallsFit = Array.isArray(walls) && walls.length === layout.width && walls.every(function(column) {
+            return Array.isArray(column) && column.length === layout.height && column.every(function(cell) {
+                return cell === 0 || cell === 1;
+            });
+        });
+        if (!wallsFit) {
+            throw new Error("The walls must be " + layout.width + " columns of " + layout.height +
+                            " cells holding 0 (open) or 1 (wall).");
+        }
+        var start = layout.start;
+        if (!Array.isArray(start) || start.length !== 2 || !whole(start[0], 0, layout.width - 1) ||
+            !whole(start[1], 0, layout.height - 1)) {
+            throw new Error("The start must be a cell on the board.");
+        }
+        if (walls[start[0]][start[1]]) {
+            throw new Error("The start can't be a wall.");
         }
-        if (myMove == NORTH) {
-            if (Board.myY - 1 >= 0) {
-                Board.myY = Board.myY - 1;
+        var reached = Board.reachable(walls, start);
+        var totalItems = [0];
+        for (var i=0; i<layout.width; i++) {
+            for (var j=0; j<layout.height; j++) {
+                while (totalItems.length < board[i][j]) {
+                    totalItems.push(0);
+                }
+                if (board[i][j] > 0) {
+                    totalItems[board[i][j] - 1]++;
+                    if (walls[i][j]) {
+                        throw new Error("The cell " + i + "," + j + " can't hold fruit and be a wall.");
+                    }
+                    if (!reached[i][j]) {
+                        throw new Error("The fruit at " + i + "," + j + " can't be reached from the start.");
+                    }
+                }
             }
         }
-        if (simpleBotMove == NORTH) {
-            if (Board.oppY - 1 >= 0) {
-                Board.oppY = Board.oppY - 1;
+        Board.load({
+            seed: layout.seed === undefined ? null : layout.seed,
+            width: layout.width,
+            height: layout.height,
+            numberOfItemTypes: totalItems.length,
+            totalItems: totalItems,
+            board: board,
+            walls: walls,
+            start: start
+        });
+    },
+    emptyGrid: function(width, height) {
+        var grid = new Array(width);
+        for (var i=0; i<width; i++) {
+            grid[i] = new Array(height);
+            for (var j=0; j<height; j++) {
+                grid[i][j] = 0;
             }
         }
-        if (myMove == SOUTH) {
-            if (Board.myY + 1 < HEIGHT) {
-                Board.myY = Board.myY + 1;
+        return grid;
+    },
+    reset: function() {
+        Board.restoreState(Board.initial_state);
+        Board.timeline = [Board.snapshot()];
+        Board.newGame();
+    },
+    // deep copy of the game on the board, leaving out its functions and what
+    // isn't part of the game: the generation, seat and rule settings, seated bots and timeline
+    copyState: function() {
+        var state = {};
+        var skip = ['initial_state', 'generation', 'seats', 'rules', 'bots', 'timeline', 'catchingUp', 'printTraces'];
+        for (var key in Board) {
+            if (typeof Board[key] !== 'function' && skip.indexOf(key) < 0) {
+                state[key] = Board.copy(Board[key]);
             }
         }
-        if (simpleBotMove == SOUTH) {
-            if (Board.oppY + 1 < HEIGHT) {
-                Board.oppY = Board.oppY + 1;
+        return state;
+    },
+    restoreState: function(state) {
+        for (var key in state) {
+            Board[key] = Board.copy(state[key]);
+        }
+    },
+    // what changes from turn to turn, Board.timeline holds one of these for every turn played
+    snapshot: function() {
+        return {
+            turn: Board.turn,
+            board: Board.copy(Board.board),
+            history: Board.copy(Board.history),
+            positions: Board.copy(Board.positions),
+            collected: Board.copy(Board.collected),
+            split: Board.split.slice()
+        };
+    },
+    // puts the board back the way it was at the start of the given turn
+    goToTurn: function(turn) {
+        var snapshot = Board.timeline[Math.max(0, Math.min(turn, Board.timeline.length - 1))];
+        for (var key in snapshot) {
+            Board[key] = Board.copy(snapshot[key]);
+        }
+    },
+    // what doesn't change during a game, a bot running somewhere else needs
+    // this together with a snapshot of the turn
+    game: function() {
+        return {
+            seed: Board.seed,
+            width: WIDTH,
+            height: HEIGHT,
+            numberOfItemTypes: Board.numberOfItemTypes,
+            totalItems: Board.totalItems.slice(),
+            walls: Board.copy(Board.walls),
+            rules: Board.copy(Board.rules)
+        };
+    },
+    // for every seat, how many turns it spent on each cell from the start up to the current turn
+    visits: function() {
+        var visits = Board.positions.map(function() { return Board.emptyGrid(WIDTH, HEIGHT); });
+        for (var turn=0; turn<=Board.turn; turn++) {
+            Board.timeline[turn].positions.forEach(function(position, seat) {
+                visits[seat][position[0]][position[1]]++;
+            });
+        }
+        return visits;
+    },
+    lastTurn: function() {
+        return Board.timeline.length - 1;
+    },
+    // forgets every turn after the current one so play can carry on from here.
+    // unless catchUpBots is false the bots are started over and shown the turns
+    // up to here again (their moves are ignored) so that whatever they remember
+    // matches the board
+    branch: function(catchUpBots) {
+        var turn = Board.turn;
+        Board.timeline = Board.timeline.slice(0, turn + 1);
+        Board.moves = Board.moves.slice(0, turn);
+        if (!Board.replayMoves) {
+            Board.faults = Board.currentFaults();
+            Board.annotations = Board.annotations.slice(0, turn);
+            Board.traces = Board.traces.filter(function(entry) { return entry.turn <= turn; });
+        }
+        if (!Board.replayMoves && catchUpBots) {
+            // faults made while catching up were already reported the first time round
+            var faults = Board.faults;
+            Board.catchingUp = true;
+            Board.newGame();
+            for (var i=0; i<turn; i++) {
+                Board.goToTurn(i);
+                Board.bots.forEach(function(bot, seat) {
+                    Board.askForMove(seat);
+                });
             }
+            Board.goToTurn(turn);
+            Board.catchingUp = false;
+            Board.faults = faults;
         }
-        if (myMove == EAST) {
-            if (Board.myX + 1 < WIDTH) {
-                Board.myX = Board.myX + 1;
+    },
+    copy: function(value) {
+        if (Array.isArray(value)) {
+            return value.map(Board.copy);
+        }
+        if (value !== null && typeof value === 'object') {
+            var result = {};
+            for (var key in value) {
+                result[key] = Board.copy(value[key]);
             }
+            return result;
         }
-        if (simpleBotMove == EAST) {
-            if (Board.oppX + 1 < WIDTH) {
-                Board.oppX = Board.oppX + 1;
+        return value;
+    },
+    // names of the registered bots (see bots.js) sitting in each seat, a game
+    // has from 2 to MAX_PLAYERS of them
+    seats: ["mybot", "SimpleBot"],
+    MAX_PLAYERS: 4,
+    checkSeats: function(seats) {
+        if (seats.length < 2 || seats.length > Board.MAX_PLAYERS) {
+            throw new Error("A game needs 2 to " + Board.MAX_PLAYERS + " players, not " + seats.length + ".");
+        }
+        seats.forEach(Bots.create);
+    },
+    // the seat whose bot is being called, the API answers from its point of view
+    currentPlayer: 0,
+    nextSeat: function() {
+        return (Board.currentPlayer + 1) % Board.positions.length;
+    },
+    newGame: function() {
+        // a replay already knows every move, there is nobody to ask
+        if (Board.replayMoves) {
+            Board.bots = [];
+            return;
+        }
+        Board.bots = Board.seats.map(Bots.create);
+        Board.bots.forEach(function(bot, seat) {
+            if (bot.newGame) {
+                Board.currentPlayer = seat;
+                try {
+                    bot.newGame();
+                } catch (e) {
+                    Board.reportFault(seat, 0, "threw " + e + " starting a new game");
+                }
             }
+        });
+        Board.currentPlayer = 0;
+    },
+    // asks a bot for its move, a bot that throws, doesn't return a move or
+    // goes over rules.moveTimeLimit is reported and passes instead
+    askForMove: function(seat) {
+        var move, error = null, started = Date.now();
+        Board.currentPlayer = seat;
+        Board.marks = [];
+        try {
+            move = Board.bots[seat].makeMove();
+        } catch (e) {
+            error = "threw " + e;
+        }
+        Board.annotate(seat, Board.marks);
+        Board.marks = null;
+        Board.currentPlayer = 0;
+        // a bot can't be stopped in the middle of a move, so the time is checked afterwards
+        return Board.checkMove(seat, move, Date.now() - started, error);
+    },
+    // what the bot being asked for its move has drawn on the board so far with
+    // the debug_ functions, null when no bot is being asked
+    marks: null,
+    // annotations[turn][seat] is what the bot in the seat drew while deciding
+    // its move that turn, kept for the viewer and in replays
+    annotate: function(seat, marks) {
+        (Board.annotations[Board.turn] = Board.annotations[Board.turn] || [])[seat] = marks || [];
+    },
+    mark: function(mark) {
+        if (Board.marks) {
+            Board.marks.push(mark);
+        }
+    },
+    // the move a bot gets to make this turn: what it returned, or PASS with a fault
+    // reported if it failed with the given error or didn't return a move in time
+    checkMove: function(seat, move, elapsed, error) {
+        var fault = error || null;
+        if (fault === null && Board.moveName(move) === null) {
+            fault = "returned " + move + ", which is not a move";
+        } else if (fault === null && Board.rules.moveTimeLimit > 0 && elapsed > Board.rules.moveTimeLimit) {
+            fault = "took " + elapsed + " ms, over the " + Board.rules.moveTimeLimit + " ms limit";
+        }
+        if (fault !== null) {
+            Board.reportFault(seat, Board.turn + 1, fault);
+            return PASS;
+        }
+        return move;
+    },
+    // with rules.onFault "forfeit" the bot also loses every fruit type and passes
+    // for the rest of the game
+    reportFault: function(seat, turn, message) {
+        if (Board.catchingUp) {
+            return;
+        }
+        var fault = {
+            turn: turn,
+            seat: seat,
+            bot: Board.seats[seat],
+            message: message,
+            forfeit: Board.rules.onFault === "forfeit"
+        };
+        Board.faults.push(fault);
+        console.log("turn " + turn + ": " + fault.bot + " " + message + (fault.forfeit ? " and forfeits" : ""));
+    },
+    // whether trace() also prints, the page has its trace log instead but
+    // headless.js turns this on so a game run from Node shows it as it goes
+    printTraces: false,
+    // what a bot said with trace(), for the turn it is deciding its move for
+    // like faults, or turn 0 while it starts a new game
+    trace: function(message) {
+        if (Board.catchingUp) {
+            return;
         }
-        if (myMove == WEST) {
-            if (Board.myX - 1 >= 0) {
-                Board.myX = Board.myX - 1;
+        var seat = Board.currentPlayer;
+        var entry = {
+            turn: Board.marks ? Board.turn + 1 : 0,
+            seat: seat,
+            bot: Board.seats[seat],
+            message: String(message)
+        };
+        Board.traces.push(entry);
+        if (Board.printTraces) {
+            console.log("turn " + entry.turn + ": " + entry.bot + ": " + entry.message);
+        }
+    },
+    // faults up to the current turn, or up to the given one
+    currentFaults: function(turn) {
+        turn = turn === undefined ? Board.turn : turn;
+        return Board.faults.filter(function(fault) { return fault.turn <= turn; });
+    },
+    // the seats that have forfeited by the current turn, or by the given one
+    forfeited: function(turn) {
+        var seats = [];
+        Board.currentFaults(turn).forEach(function(fault) {
+            if (fault.forfeit && seats.indexOf(fault.seat) < 0) {
+                seats.push(fault.seat);
             }
+        });
+        return seats;
+    },
+    // plays a turn with the moves the bots make, or with the given moves when
+    // the bots were asked somewhere else (see workers.js)
+    processMove: function(moves) {
+        if (Board.turn < Board.lastTurn()) {
+            Board.branch(!moves);
+        }
+        if (!moves && Board.replayMoves) {
+            moves = Board.replayMoves[Board.turn].map(Board.moveFromName);
+        } else if (!moves) {
+            var forfeited = Board.forfeited();
+            moves = Board.positions.map(function(position, seat) {
+                return forfeited.indexOf(seat) >= 0 ? PASS : Board.askForMove(seat);
+            });
+        }
+        Board.moves.push(moves.map(Board.moveName));
+        Board.turn = Board.state().applyMoves(moves).turn;
+        Board.timeline.push(Board.snapshot());
+    },
+    // the game on the board as it is now, or as it was at the given snapshot
+    // (see Board.timeline), for the rules to work on. it shares the board's or
+    // the snapshot's grids, clone() it before trying moves out on it
+    state: function(snapshot) {
+        var at = snapshot || Board;
+        return new GameState({
+            width: WIDTH,
+            height: HEIGHT,
+            board: at.board,
+            walls: Board.walls,
+            positions: at.positions,
+            collected: at.collected,
+            split: at.split,
+            history: at.history,
+            numberOfItemTypes: Board.numberOfItemTypes,
+            totalItems: Board.totalItems,
+            turn: at.turn,
+            end: Board.rules.end
+        });
+    },
+    // a bot can move onto a cell that is on the board and isn't a wall. is_wall
+    // asks this all the time, so it doesn't make a GameState for it
+    isOpen: function(x, y) {
+        return x >= 0 && y >= 0 && x < WIDTH && y < HEIGHT && !Board.walls[x][y];
+    },
+    // what the seats are called when nobody knows which bots sat in them
+    COLOURS: ["blue", "purple", "orange", "green"],
+    // who is playing, or who played when this is a replay
+    playerNames: function() {
+        return (Board.replaySeats || Board.seats).slice();
+    },
+    // rules.end is "empty" to play until the board is empty, or "decided" to stop
+    // as soon as every fruit type is decided. rules.onFault is what happens to a
+    // bot that faults (see askForMove): "pass" or "forfeit". rules.moveTimeLimit
+    // is how many milliseconds a bot gets for a move, 0 for no limit
+    rules: {end: "empty", onFault: "pass", moveTimeLimit: 0},
+    // the game is over once the board is empty (or decided), fewer than two
+    // bots are left that haven't forfeited, or a replay runs out of moves.
+    // asks about the current turn, or about the given snapshot's
+    isOver: function(snapshot) {
+        var state = Board.state(snapshot);
+        if (Board.replayMoves !== null && state.turn >= Board.replayMoves.length) {
+            return true;
+        }
+        if (state.positions.length - Board.forfeited(state.turn).length < 2) {
+            return true;
         }
-        if (simpleBotMove == WEST) {
-            if (Board.oppX - 1 >= 0) {
-                Board.oppX = Board.oppX - 1;
+        return state.isTerminal();
+    },
+    isDecided: function(i) {
+        return Board.state().isDecided(i);
+    },
+    itemsLeft: function(i) {
+        return Board.state().itemsLeft(i);
+    },
+    // everything needed to play this game again move for move, and how it ended
+    getReplay: function() {
+        var replay = Board.layout();
+        replay.seats = Board.playerNames();
+        replay.moves = Board.copy(Board.moves);
+        replay.faults = Board.copy(Board.faults);
+        replay.annotations = Board.copy(Board.annotations);
+        replay.traces = Board.copy(Board.traces);
+        replay.rules = Board.copy(Board.rules);
+        replay.result = Board.result(Board.timeline[Board.lastTurn()]);
+        return replay;
+    },
+    loadReplay: function(replay) {
+        ["width", "height", "numberOfItemTypes", "totalItems", "board", "start", "moves"].forEach(function(key) {
+            if (replay[key] === undefined) {
+                throw new Error("Not a replay, it has no " + key + ".");
+            }
+        });
+        var players = replay.seats ? replay.seats.length : (replay.moves.length > 0 ? replay.moves[0].length : 2);
+        Board.load(replay, players);
+        Board.replaySeats = replay.seats ? replay.seats.slice() : Board.COLOURS.slice(0, players);
+        Board.replayMoves = Board.copy(replay.moves);
+        Board.faults = Board.copy(replay.faults || []);
+        Board.annotations = Board.copy(replay.annotations || []);
+        Board.traces = Board.copy(replay.traces || []);
+        // the game is played back under the rules it was played with, replays
+        // from before they were saved keep the rules as they are
+        for (var rule in replay.rules || {}) {
+            if (Board.rules.hasOwnProperty(rule)) {
+                Board.rules[rule] = replay.rules[rule];
             }
         }
-
-        if (Board.myX == Board.oppX && Board.myY == Board.oppY) {
-            Board.history[Board.myX][Board.myY] = 3;
-        } else {
-            Board.history[Board.myX][Board.myY] = 1;
-            Board.history[Board.oppX][Board.oppY] = 2;
+        Board.initial_state = Board.copyState();
+    },
+    // replays store moves by name since the values of the move constants may
+    // change, anything that isn't a move is stored as null and does nothing
+    moveNames: function() {
+        return {EAST: EAST, NORTH: NORTH, WEST: WEST, SOUTH: SOUTH, TAKE: TAKE, PASS: PASS};
+    },
+    moveName: function(move) {
+        var names = Board.moveNames();
+        for (var name in names) {
+            if (names[name] === move) {
+                return name;
+            }
         }
-
-
+        return null;
+    },
+    moveFromName: function(name) {
+        var names = Board.moveNames();
+        return names.hasOwnProperty(name) ? names[name] : null;
     },
     noMoreItems: function() {
-        for (var i=0; i<WIDTH; i++) {
-            for (var j=0; j<HEIGHT; j++) {
-                if (Board.board[i][j] != 0) {
-                    return false;
-                }
-            }
+        return Board.state().noMoreItems();
+    },
+    // the seat that has more of fruit type i than anyone else, or -1 on a tie.
+    // bots that forfeited don't count, they lose every type
+    categoryWinner: function(i) {
+        return Board.state().categoryWinner(i, Board.forfeited());
+    },
+    // how many fruit types each seat won
+    points: function() {
+        return Board.state().points(Board.forfeited());
+    },
+    // how the game has gone up to the current turn, or up to the given snapshot
+    // (see Board.timeline), fruit type by fruit type. score, outcome,
+    // categoriesWon/Lost and each category's score and margin are from the first
+    // seat's point of view and winners are the seats with the most fruit types
+    result: function(snapshot) {
+        var state = Board.state(snapshot), forfeited = Board.forfeited(state.turn);
+        var points = state.points(forfeited), score = state.score(0, forfeited);
+        var best = Math.max.apply(null, points);
+        var categories = [];
+        for (var i=0; i<Board.numberOfItemTypes; i++) {
+            var collected = state.collected.map(function(collected) { return collected[i]; });
+            var winner = state.categoryWinner(i, forfeited);
+            categories.push({
+                type: i + 1,
+                total: Board.totalItems[i],
+                collected: collected,
+                left: state.itemsLeft(i),
+                split: state.split[i],
+                decided: state.isDecided(i),
+                winner: winner,
+                // +1 when the first seat won the type, -1 when another seat did, 0 on a tie
+                score: winner < 0 ? 0 : (winner === 0 ? 1 : -1),
+                // how much more of the type the first seat has than the best of the others
+                margin: collected[0] - Math.max.apply(null, collected.slice(1))
+            });
         }
-        return true;
+        return {
+            seed: Board.seed,
+            seats: Board.playerNames(),
+            width: WIDTH,
+            height: HEIGHT,
+            numberOfItemTypes: Board.numberOfItemTypes,
+            turns: state.turn,
+            finished: Board.isOver(snapshot),
+            totalItems: Board.totalItems.slice(),
+            collected: Board.copy(state.collected),
+            categories: categories,
+            points: points,
+            winners: points.map(function(n, seat) { return n === best ? seat : -1; })
+                           .filter(function(seat) { return seat >= 0; }),
+            categoriesWon: points[0],
+            categoriesLost: points.slice(1).reduce(function(sum, n) { return sum + n; }, 0),
+            split: state.split.reduce(function(sum, n) { return sum + n; }, 0),
+            score: score,
+            outcome: score > 0 ? "win" : (score < 0 ? "lose" : "tie"),
+            faults: Board.copy(Board.currentFaults(state.turn)),
+            forfeited: forfeited
+        };
+    },
+    // how many more fruit types my bot won than the best of the others, above 0 is a win.
+    // with two bots that is +1 for every type my bot has more of, -1 for every type the opponent has more of
+    score: function() {
+        return Board.state().score(0, Board.forfeited());
     }
 }
 
@@ -166,7 +762,6 @@ var WEST = 3;
 var SOUTH = 4;
 var TAKE = 5;
 var PASS = 6;
-
 var HEIGHT;
 var WIDTH;
 
@@ -178,38 +773,110 @@ function get_board() {
     return Board.board;
 }
 
+// true for walls and for cells off the board, bots can't move onto either
+function is_wall(x, y) {
+    return !Board.isOpen(x, y);
+}
+
+// null on a board that was made by hand
+function get_seed() {
+    return Board.seed;
+}
+
 function get_number_of_item_types() {
     return Board.numberOfItemTypes;
 }
 
+function get_number_of_players() {
+    return Board.positions.length;
+}
+
+// the seats of everyone else, for get_player_x, get_player_y and get_player_item_count
+function get_opponents() {
+    var opponents = [];
+    for (var seat=0; seat<Board.positions.length; seat++) {
+        if (seat !== Board.currentPlayer) {
+            opponents.push(seat);
+        }
+    }
+    return opponents;
+}
+
+function get_player_x(player) {
+    return Board.positions[player][0];
+}
+
+function get_player_y(player) {
+    return Board.positions[player][1];
+}
+
+function get_player_item_count(player, type) {
+    return Board.collected[player][type-1];
+}
+
 function get_my_x() {
-    return Board.myX;
+    return get_player_x(Board.currentPlayer);
 }
 
 function get_my_y() {
-    return Board.myY;
+    return get_player_y(Board.currentPlayer);
 }
 
+// the opponent is the next seat round the table, the only other one in a two player game
 function get_opponent_x() {
-    return Board.oppX;
+    return get_player_x(Board.nextSeat());
 }
 
 function get_opponent_y() {
-    return Board.oppY;
+    return get_player_y(Board.nextSeat());
 }
 
 function get_my_item_count(type) {
-    return Board.myBotCollected[type-1];
+    return get_player_item_count(Board.currentPlayer, type);
 }
 
 function get_opponent_item_count(type) {
-    return Board.simpleBotCollected[type-1];
+    return get_player_item_count(Board.nextSeat(), type);
 }
 
 function get_total_item_count(type) {
     return Board.totalItems[type-1];
 }
 
+function is_item_type_decided(type) {
+    return Board.isDecided(type-1);
+}
+
+// a copy of the whole game as it is now that you can play moves out on for
+// every player, see gamestate.js. the real game server doesn't have this
+function get_game_state() {
+    return Board.state().clone();
+}
+
+// how many milliseconds a bot gets for a move, 0 for no limit. the real game
+// server doesn't have this either
+function get_move_time_limit() {
+    return Board.rules.moveTimeLimit;
+}
+
+// debug drawing, only the viewer shows it and the real game server doesn't
+// have these so check they exist before calling them. colour is any CSS
+// colour and defaults to the bot's own. everything drawn is forgotten the
+// next turn, draw it again to keep it on the board
+function debug_highlight(x, y, colour) {
+    Board.mark({cell: [x, y], colour: colour});
+}
+
+// a line through the middle of every [x, y] cell in the list
+function debug_path(cells, colour) {
+    Board.mark({path: cells.map(function(cell) { return [cell[0], cell[1]]; }), colour: colour});
+}
+
+function debug_label(x, y, text, colour) {
+    Board.mark({cell: [x, y], label: String(text), colour: colour});
+}
+
+// logs the message tagged with the turn and the bot, the viewer lists it under the board
 function trace(mesg) {
-    console.log(mesg);
+    Board.trace(mesg);
 }
@@ -0,0 +1,50 @@
+// Registry of the bots that can be seated at the board. A bot is an object
+// with a name and the hooks the board calls on it:
+//
+//   newGame()  - optional, called once when a game starts
+//   makeMove() - called every turn, returns one of the move constants
+//
+// Register your own with Bots.register({name: ..., newGame: ..., makeMove: ...})
+// from any script loaded after this one and it can be picked for either seat.
+var Bots = {
+    registry: {},
+    register: function(bot) {
+        if (!bot || !bot.name || typeof bot.makeMove !== 'function') {
+            throw new Error("A bot needs a name and a makeMove function.");
+        }
+        Bots.registry[bot.name] = bot;
+    },
+    names: function() {
+        return Object.keys(Bots.registry);
+    },
+    // every seat gets its own instance so bots can keep per game state on `this`
+    create: function(name) {
+        var bot = Bots.registry[name];
+        if (!bot) {
+            throw new Error("There is no bot registered as \"" + name + "\". Registered bots: " +
+                            Bots.names().join(", ") + ".");
+        }
+        return Object.create(bot);
+    }
+};
+
+// mybot.js, through the new_game/make_move functions the real game server calls
+Bots.register({
+    name: "mybot",
+    newGame: function() {
+        if (typeof new_game === 'function') {
+            new_game();
+        }
+    },
+    makeMove: function() {
+        return make_move();
+    }
+});
+
+// stands still all game, handy for watching a bot roam the board alone
+Bots.register({
+    name: "Pass",
+    makeMove: function() {
+        return PASS;
+    }
+});
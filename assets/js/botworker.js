@@ -0,0 +1,62 @@
+// Runs one seat's bot off the page's main thread (see workers.js). The page
+// starts it with the scripts to load, the game and the turns played so far,
+// then sends a snapshot of the board (see Board.snapshot) every turn and
+// gets the bot's move back.
+var bot, seat;
+
+function restore(snapshot) {
+    for (var key in snapshot) {
+        Board[key] = snapshot[key];
+    }
+}
+
+// the bot's move at the board in the snapshot, or the error it threw, with
+// whatever it drew (see Board.marks) and traced since the last move
+function move(snapshot) {
+    restore(snapshot);
+    Board.currentPlayer = seat;
+    Board.marks = [];
+    var answer = {type: "move"};
+    try {
+        answer.move = bot.makeMove();
+    } catch (e) {
+        answer.error = "threw " + e;
+    }
+    answer.marks = Board.marks;
+    answer.traces = Board.traces;
+    Board.marks = null;
+    Board.traces = [];
+    return answer;
+}
+
+onmessage = function(event) {
+    var message = event.data;
+    if (message.type === "start") {
+        importScripts.apply(null, message.scripts);
+        WIDTH = message.game.width;
+        HEIGHT = message.game.height;
+        restore(message.game);
+        Board.seats = message.seats;
+        seat = message.seat;
+        bot = Bots.create(Board.seats[seat]);
+        restore(message.history[0] || message.snapshot);
+        Board.currentPlayer = seat;
+        Board.traces = [];
+        // the page started its own copy of the bot and already has what it
+        // traced then and in the turns this one missed
+        Board.catchingUp = true;
+        if (bot.newGame) {
+            try {
+                bot.newGame();
+            } catch (e) {
+                postMessage({type: "fault", message: "threw " + e + " starting a new game"});
+            }
+        }
+        // walk the bot through the turns it missed so it remembers them, like Board.branch does
+        message.history.forEach(move);
+        Board.catchingUp = false;
+        postMessage(move(message.snapshot));
+    } else if (message.type === "move") {
+        postMessage(move(message.snapshot));
+    }
+};
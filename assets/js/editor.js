@@ -0,0 +1,120 @@
+// Edits the board by hand on the game_view canvas while "Edit board" is
+// ticked. Clicking a cell cycles it through the fruit types, a wall and back
+// to empty, dragging the cell the bots start on moves it. Every change starts a
+// new game on the edited board (see Board.loadLayout), so reset, play and
+// "save board" work on it like on a generated one.
+var Editor = {
+    // one for every fruit image
+    ITEM_TYPES: 5,
+    editing: false,
+    dragging: false,
+
+    init: function() {
+        $('#game_view').bind('mousedown', Editor.mouseDown);
+        $(document).bind('mouseup', Editor.mouseUp);
+        $('#check_edit').bind('click', function() { Editor.setEditing(this.checked);});
+        $('.resizeboard').bind('click', function() { Editor.resize($('#edit_width').val(), $('#edit_height').val());});
+    },
+    // the board goes back to its first turn while it is edited
+    setEditing: function(editing) {
+        Editor.editing = editing;
+        Editor.dragging = false;
+        GamePlay.cancelStep();
+        if (editing) {
+            Board.reset();
+        }
+        GamePlay.start();
+    },
+    showSize: function() {
+        $('#edit_width').val(WIDTH);
+        $('#edit_height').val(HEIGHT);
+    },
+    // the [x, y] of the board cell under the mouse, or null
+    cellAt: function(event) {
+        var offset = $(GamePlay.canvas).offset();
+        var x = Math.floor((event.pageX - offset.left) / 50) - Board.numberOfItemTypes;
+        var y = Math.floor((event.pageY - offset.top) / 50);
+        return x >= 0 && x < WIDTH && y >= 0 && y < HEIGHT ? [x, y] : null;
+    },
+    mouseDown: function(event) {
+        var cell = Editor.cellAt(event);
+        if (!Editor.editing || !cell) {
+            return;
+        }
+        event.preventDefault();
+        var layout = Board.layout();
+        if (cell[0] === layout.start[0] && cell[1] === layout.start[1]) {
+            Editor.dragging = true;
+            return;
+        }
+        var x = cell[0], y = cell[1];
+        if (layout.walls[x][y]) {
+            layout.walls[x][y] = 0;
+        } else if (layout.board[x][y] < Editor.ITEM_TYPES) {
+            layout.board[x][y]++;
+        } else {
+            layout.board[x][y] = 0;
+            layout.walls[x][y] = 1;
+            if (Editor.load(layout)) {
+                return;
+            }
+            // a wall here would cut off some fruit, so the cell is emptied instead
+            layout.walls[x][y] = 0;
+        }
+        Editor.load(layout);
+    },
+    // the start can only be dropped on an empty cell
+    mouseUp: function(event) {
+        if (!Editor.dragging) {
+            return;
+        }
+        Editor.dragging = false;
+        var cell = Editor.cellAt(event);
+        var layout = Board.layout();
+        if (cell && layout.board[cell[0]][cell[1]] === 0 && !layout.walls[cell[0]][cell[1]]) {
+            layout.start = cell;
+            Editor.load(layout);
+        }
+    },
+    // keeps the fruit that still fits and moves the start onto the board if it fell off
+    resize: function(widthText, heightText) {
+        var width = Number(widthText), height = Number(heightText);
+        var whole = function(n) { return n === Math.floor(n) && n >= 1 && n <= 30; };
+        if (!whole(width) || !whole(height)) {
+            alert("A board is 1 to 30 cells wide and high.");
+            Editor.showSize();
+            return;
+        }
+        var layout = Board.layout();
+        var board = Board.emptyGrid(width, height), walls = Board.emptyGrid(width, height);
+        for (var i=0; i<Math.min(width, layout.width); i++) {
+            for (var j=0; j<Math.min(height, layout.height); j++) {
+                board[i][j] = layout.board[i][j];
+                walls[i][j] = layout.walls[i][j];
+            }
+        }
+        layout.start = [Math.min(layout.start[0], width - 1), Math.min(layout.start[1], height - 1)];
+        board[layout.start[0]][layout.start[1]] = 0;
+        walls[layout.start[0]][layout.start[1]] = 0;
+        layout.width = width;
+        layout.height = height;
+        layout.board = board;
+        layout.walls = walls;
+        if (!Editor.load(layout)) {
+            Editor.showSize();
+        }
+    },
+    // an edited board no longer matches its seed. says why and returns false
+    // if the board can't be played, e.g. because walls cut off some fruit
+    load: function(layout) {
+        layout.seed = null;
+        try {
+            Board.loadLayout(layout);
+        } catch (e) {
+            alert(e.message);
+            return false;
+        }
+        GamePlay.setupBoard();
+        return true;
+    }
+};
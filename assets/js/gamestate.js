@@ -0,0 +1,190 @@
+// The rules of the game with nothing else attached: the board, where every
+// bot is, what each has collected and what a turn of moves does to all of
+// that. Board plays its games on one (see Board.state) and a bot can get a
+// copy of the current one with get_game_state() to try moves out on, for
+// every player and exactly by the rules, split fruit included.
+//
+// A GameState doesn't copy anything. new GameState(fields) keeps the arrays
+// it is given, so the one Board.state() returns shares the grids Board plays
+// on, and applyMoves changes the state it is called on in place. Call clone()
+// first to try moves out without changing the game they came from. The fields:
+//   width, height             - the size of the board
+//   board[x][y]               - the fruit type on the cell, 0 for none
+//   walls[x][y]               - 1 for a wall
+//   positions[seat]           - [x, y] of every bot
+//   collected[seat][type - 1] - how much of the fruit type the bot has
+//   split[type - 1]           - how many fruit of the type bots took together
+//   history[x][y]             - a bit for every seat on the cell after the last turn
+//   numberOfItemTypes, totalItems[type - 1]
+//   turn                      - how many turns have been played
+//   end                       - "empty" or "decided", see Board.rules
+function GameState(fields) {
+    for (var key in fields) {
+        if (fields.hasOwnProperty(key)) {
+            this[key] = fields[key];
+        }
+    }
+}
+
+// shares of split fruit like 1/3 aren't exact, counts closer than this are equal
+GameState.EPSILON = 1e-9;
+
+GameState.prototype = {
+    // a copy to change without changing this one. walls and totalItems never
+    // change so the copy shares them
+    clone: function() {
+        var copy = new GameState(this);
+        ['board', 'positions', 'collected', 'history'].forEach(function(key) {
+            copy[key] = this[key].map(function(row) { return row.slice(); });
+        }, this);
+        copy.split = this.split.slice();
+        return copy;
+    },
+    // plays one turn, either applyMoves(moveA, moveB, ...) with a move for every
+    // seat or applyMoves(moves). anything that isn't a move does nothing, like PASS.
+    // changes this state and returns it
+    applyMoves: function(moveA, moveB) {
+        var moves = Array.isArray(moveA) ? moveA : Array.prototype.slice.call(arguments);
+        var state = this;
+
+        // everyone who takes the fruit on a cell at the same time gets an even share of it
+        var takers = {};
+        state.positions.forEach(function(position, seat) {
+            if (moves[seat] == TAKE && state.board[position[0]][position[1]] > 0) {
+                (takers[position] = takers[position] || []).push(seat);
+            }
+        });
+        for (var cell in takers) {
+            var position = state.positions[takers[cell][0]];
+            var type = state.board[position[0]][position[1]];
+            takers[cell].forEach(function(seat) {
+                state.collected[seat][type - 1] += 1 / takers[cell].length;
+            });
+            if (takers[cell].length > 1) {
+                state.split[type - 1]++;
+            }
+            state.board[position[0]][position[1]] = 0;
+        }
+
+        state.positions.forEach(function(position, seat) {
+            var to = state.moveTo(position, moves[seat]);
+            position[0] = to[0];
+            position[1] = to[1];
+        });
+
+        // breadcrumbs, every cell a bot is on gets a bit for each seat on it
+        var trail = {};
+        state.positions.forEach(function(position, seat) {
+            trail[position] = (trail[position] || 0) | (1 << seat);
+        });
+        state.positions.forEach(function(position) {
+            state.history[position[0]][position[1]] = trail[position];
+        });
+        state.turn++;
+        return state;
+    },
+    // where a bot at position ends up after the move, walls and the edge of the board stop it
+    moveTo: function(position, move) {
+        var x = position[0], y = position[1];
+        if (move == NORTH) {
+            y--;
+        } else if (move == SOUTH) {
+            y++;
+        } else if (move == EAST) {
+            x++;
+        } else if (move == WEST) {
+            x--;
+        }
+        return this.isOpen(x, y) ? [x, y] : position;
+    },
+    // every move of the player's that does something this turn: the ways it can
+    // walk, TAKE when it is on fruit, and PASS which is always there
+    legalMoves: function(player) {
+        var position = this.positions[player], moves = [];
+        [EAST, NORTH, WEST, SOUTH].forEach(function(move) {
+            if (this.moveTo(position, move) !== position) {
+                moves.push(move);
+            }
+        }, this);
+        if (this.board[position[0]][position[1]] > 0) {
+            moves.push(TAKE);
+        }
+        moves.push(PASS);
+        return moves;
+    },
+    // a bot can move onto a cell that is on the board and isn't a wall
+    isOpen: function(x, y) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height && !this.walls[x][y];
+    },
+    // once the board is empty, or with end "decided" once every fruit type is decided
+    isTerminal: function() {
+        return this.end === "decided" ? this.allDecided() : this.noMoreItems();
+    },
+    noMoreItems: function() {
+        return this.board.every(function(column) {
+            return column.every(function(type) { return type == 0; });
+        });
+    },
+    // a fruit type is decided when the fruit left can't change who has the most of it
+    isDecided: function(i) {
+        var left = this.itemsLeft(i);
+        var counts = this.collected.map(function(collected) { return collected[i]; }).sort(function(a, b) { return b - a; });
+        return left === 0 || counts[0] - counts[1] > left + GameState.EPSILON;
+    },
+    allDecided: function() {
+        for (var i=0; i<this.numberOfItemTypes; i++) {
+            if (!this.isDecided(i)) {
+                return false;
+            }
+        }
+        return true;
+    },
+    // counted on the board, shares of split fruit don't always add up exactly
+    itemsLeft: function(i) {
+        var left = 0;
+        this.board.forEach(function(column) {
+            column.forEach(function(type) {
+                if (type == i + 1) {
+                    left++;
+                }
+            });
+        });
+        return left;
+    },
+    // the seat that has more of fruit type i than anyone else, or -1 on a tie.
+    // the seats in forfeited (if given) don't count, they lose every type
+    categoryWinner: function(i, forfeited) {
+        var winner = -1, most = -1;
+        this.collected.forEach(function(collected, seat) {
+            if (forfeited && forfeited.indexOf(seat) >= 0) {
+                return;
+            }
+            if (collected[i] > most + GameState.EPSILON) {
+                winner = seat;
+                most = collected[i];
+            } else if (collected[i] >= most - GameState.EPSILON) {
+                winner = -1;
+            }
+        });
+        return winner;
+    },
+    // how many fruit types each seat won
+    points: function(forfeited) {
+        var points = this.collected.map(function() { return 0; });
+        for (var i=0; i<this.numberOfItemTypes; i++) {
+            var winner = this.categoryWinner(i, forfeited);
+            if (winner >= 0) {
+                points[winner]++;
+            }
+        }
+        return points;
+    },
+    // how many more fruit types the player (the first seat unless given) won than the
+    // best of the others, above 0 is a win
+    score: function(player, forfeited) {
+        player = player || 0;
+        var points = this.points(forfeited);
+        var others = points.filter(function(n, seat) { return seat !== player; });
+        return points[player] - Math.max.apply(null, others);
+    }
+};
@@ -8,10 +8,23 @@ var Grid = {
         img.onload = function() {
             for (var i=0; i<WIDTH; i++) {
                 for (var j=0; j<HEIGHT; j++) {
-                    ctx.drawImage(img, Board.numberOfItemTypes * 50 + i * 50, j * 50);
+                    if (!Board.walls[i][j]) {
+                        ctx.drawImage(img, Board.numberOfItemTypes * 50 + i * 50, j * 50);
+                    }
                 }
             }
         }
         img.src="assets/images/FruitCell.png";
+        var wall = new Image();
+        wall.onload = function() {
+            for (var i=0; i<WIDTH; i++) {
+                for (var j=0; j<HEIGHT; j++) {
+                    if (Board.walls[i][j]) {
+                        ctx.drawImage(wall, Board.numberOfItemTypes * 50 + i * 50, j * 50);
+                    }
+                }
+            }
+        }
+        wall.src="assets/images/FruitWall.png";
     }
 }
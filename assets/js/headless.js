@@ -0,0 +1,147 @@
+// Plays games in Node without a browser. The game scripts are browser
+// scripts that talk through globals, so they are all loaded into one
+// shared sandbox the same way game.html loads them into the page.
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var ROOT = path.join(__dirname, '..', '..');
+var ENGINE_SCRIPTS = ['assets/js/random.js', 'assets/js/board.js', 'assets/js/gamestate.js', 'assets/js/bots.js'];
+// the bots game.html loads
+var BOT_SCRIPTS = ['mybot.js', 'assets/js/simplebot.js'];
+
+var Headless = {
+    // default safety net for bots that never finish the board
+    MAX_TURNS: 10000,
+
+    // scripts are extra bot files (relative to the working directory) to load on
+    // top of the ones game.html loads. options.quiet drops everything the
+    // scripts log, like trace() output and fault reports
+    createSandbox: function(scripts, options) {
+        options = options || {};
+        var sandbox = vm.createContext({console: options.quiet ? {log: function() {}} : console});
+        ENGINE_SCRIPTS.concat(BOT_SCRIPTS).forEach(function(script) {
+            Headless.loadScript(sandbox, path.join(ROOT, script));
+        });
+        sandbox.Board.printTraces = !options.quiet;
+        (scripts || []).forEach(function(script) {
+            Headless.loadScript(sandbox, path.resolve(script));
+        });
+        return sandbox;
+    },
+    loadScript: function(sandbox, file) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, {filename: file});
+    },
+    // seats the registered bots options.seats and applies options.rules (see
+    // Board.rules) and options.generation (see Board.generation), which only
+    // need to name the settings they change. throws if a setting is wrong
+    configure: function(sandbox, options) {
+        var Board = sandbox.Board;
+        if (options.seats) {
+            Board.checkSeats(options.seats);
+            Board.seats = options.seats.slice();
+        }
+        for (var rule in options.rules) {
+            Board.rules[rule] = options.rules[rule];
+        }
+        var generation = Board.copy(Board.generation);
+        for (var setting in options.generation) {
+            generation[setting] = options.generation[setting];
+        }
+        Board.checkGeneration(generation);
+        Board.generation = generation;
+    },
+    // plays one game to the end with the given options (see configure) and
+    // returns what happened in it (see Board.result). the board is options.layout (see
+    // Board.loadLayout) if there is one, otherwise it is generated from options.seed
+    playGame: function(sandbox, options) {
+        options = options || {};
+        var maxTurns = options.maxTurns || Headless.MAX_TURNS;
+        var Board = sandbox.Board;
+        Headless.configure(sandbox, options);
+        if (options.layout) {
+            Board.loadLayout(options.layout);
+        } else {
+            Board.init(options.seed);
+        }
+        Board.newGame();
+        while (!Board.isOver() && Board.turn < maxTurns) {
+            Board.processMove();
+        }
+        var result = Board.result();
+        result.swapped = false;
+        return result;
+    },
+    // plays options.games games on the consecutive seeds starting at options.seed.
+    // with options.swap every board is played again with the seats moved round
+    // the table until every bot has sat in every seat, and those results are
+    // turned around so that all results are seen from the point of view of the
+    // bot in options.seats[0]
+    playBatch: function(sandbox, options) {
+        var results = [];
+        var seats = options.seats || sandbox.Board.seats.slice();
+        var firstSeed = options.seed === undefined ? sandbox.Random.newSeed() : options.seed;
+        for (var i=0; i<options.games; i++) {
+            var game = {
+                seed: (firstSeed + i) >>> 0,
+                seats: seats,
+                rules: options.rules,
+                generation: options.generation,
+                layout: options.layout,
+                maxTurns: options.maxTurns
+            };
+            results.push(Headless.playGame(sandbox, game));
+            for (var turn=1; options.swap && turn<seats.length; turn++) {
+                game.seats = Headless.rotate(seats, turn);
+                results.push(Headless.swapSeats(Headless.playGame(sandbox, game), seats.length - turn));
+            }
+        }
+        return results;
+    },
+    // list with every item moved by places towards the front, round to the back
+    rotate: function(list, places) {
+        return list.slice(places).concat(list.slice(0, places));
+    },
+    // the same result with the seats moved round the table by places, in a two
+    // player game that is the result seen from the other seat
+    swapSeats: function(result, places) {
+        var swapped = {};
+        for (var key in result) {
+            swapped[key] = result[key];
+        }
+        var seats = result.seats.length;
+        var moved = function(seat) { return (seat - places + seats) % seats; };
+        swapped.swapped = !result.swapped;
+        swapped.seats = Headless.rotate(result.seats, places);
+        swapped.collected = Headless.rotate(result.collected, places);
+        swapped.points = Headless.rotate(result.points, places);
+        swapped.categories = result.categories.map(function(category) {
+            var copy = {};
+            for (var key in category) {
+                copy[key] = category[key];
+            }
+            copy.collected = Headless.rotate(category.collected, places);
+            copy.winner = category.winner < 0 ? -1 : moved(category.winner);
+            copy.score = copy.winner < 0 ? 0 : (copy.winner === 0 ? 1 : -1);
+            copy.margin = copy.collected[0] - Math.max.apply(null, copy.collected.slice(1));
+            return copy;
+        });
+        swapped.winners = result.winners.map(moved).sort(function(a, b) { return a - b; });
+        swapped.categoriesWon = swapped.points[0];
+        swapped.categoriesLost = swapped.points.slice(1).reduce(function(sum, n) { return sum + n; }, 0);
+        swapped.faults = result.faults.map(function(fault) {
+            var copy = {};
+            for (var key in fault) {
+                copy[key] = fault[key];
+            }
+            copy.seat = moved(fault.seat);
+            return copy;
+        });
+        swapped.forfeited = result.forfeited.map(moved);
+        swapped.score = swapped.points[0] - Math.max.apply(null, swapped.points.slice(1));
+        swapped.outcome = swapped.score > 0 ? "win" : (swapped.score < 0 ? "lose" : "tie");
+        return swapped;
+    }
+};
+
+module.exports = Headless;
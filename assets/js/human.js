@@ -0,0 +1,91 @@
+// Lets people play from the keyboard. Seat "human" in any seat and the game
+// waits every turn until it has a move for each human seat: the arrow keys or
+// WASD move and space takes the fruit. With more than one human seat the
+// keys go to the seats in turn, so friends can play on one keyboard.
+var Human = {
+    // keyCodes
+    KEYS: {37: WEST, 38: NORTH, 39: EAST, 40: SOUTH, 65: WEST, 87: NORTH, 68: EAST, 83: SOUTH, 32: TAKE},
+    // the move chosen this turn by each human seat
+    moves: {},
+    // called once every human seat has chosen its move
+    waiting: null,
+
+    init: function() {
+        $(document).bind('keydown', Human.keyDown);
+    },
+    // the human seats in the game that are still playing, nobody is asked for
+    // a move in a replay
+    seats: function() {
+        if (Board.replayMoves) {
+            return [];
+        }
+        var forfeited = Board.forfeited(), seats = [];
+        Board.seats.forEach(function(name, seat) {
+            if (Bots.registry[name].human && forfeited.indexOf(seat) < 0) {
+                seats.push(seat);
+            }
+        });
+        return seats;
+    },
+    ready: function() {
+        return Human.seats().every(function(seat) { return Human.moves.hasOwnProperty(seat); });
+    },
+    waitForMoves: function(resume) {
+        Human.waiting = resume;
+        Human.showPrompt();
+    },
+    cancel: function() {
+        Human.waiting = null;
+        Human.moves = {};
+        Human.showPrompt();
+    },
+    // the seat whose move the next key press is
+    nextSeat: function() {
+        return Human.seats().filter(function(seat) { return !Human.moves.hasOwnProperty(seat); })[0];
+    },
+    showPrompt: function() {
+        if (!Human.waiting) {
+            $('#human_status').text("");
+            return;
+        }
+        var seat = Human.nextSeat();
+        $('#human_status').text(Board.COLOURS[seat] + "'s move: arrow keys or WASD to move, space to take");
+    },
+    // keys typed into the page's fields, like the seed or the turn to run to, aren't moves
+    keyDown: function(event) {
+        var move = Human.KEYS[event.which];
+        if (!Human.waiting || move === undefined || $(event.target).is('input, select, textarea')) {
+            return;
+        }
+        event.preventDefault();
+        Human.moves[Human.nextSeat()] = move;
+        if (!Human.ready()) {
+            Human.showPrompt();
+            return;
+        }
+        var resume = Human.waiting;
+        Human.waiting = null;
+        Human.showPrompt();
+        resume();
+    },
+    // the key pressed for the seat this turn. bots being caught up on earlier
+    // turns (see Board.branch) have their moves ignored, so the key is kept
+    takeMove: function(seat) {
+        if (Board.catchingUp) {
+            return PASS;
+        }
+        var move = Human.moves[seat];
+        delete Human.moves[seat];
+        return move;
+    }
+};
+
+// makeMove is only called once Human.ready(), see GamePlay.step. human bots
+// are asked on the page even when the other bots run in workers
+Bots.register({
+    name: "human",
+    human: true,
+    makeMove: function() {
+        return Human.takeMove(Board.currentPlayer);
+    }
+});
@@ -2,19 +2,75 @@ var GamePlay = {
     init: function() {
         GamePlay.canvas = document.getElementById('game_view');
         $('.pause').bind('click', function() { GamePlay.mode = "pause";});
-        $('.play').bind('click', function() { GamePlay.mode = "play"; Board.processMove(); GamePlay.draw();});
-        $('.forward').bind('click', function() { Board.processMove(); GamePlay.draw();});
+        $('.play').bind('click', function() { GamePlay.mode = "play"; GamePlay.draw();});
+        $('.forward').bind('click', function() {
+            if (!Board.isOver()) {
+                GamePlay.step(GamePlay.draw);
+            }
+        });
+        $('.back').bind('click', function() {
+            GamePlay.cancelStep();
+            GamePlay.mode = "pause";
+            Board.goToTurn(Board.turn - 1);
+            GamePlay.draw();
+        });
+        $('#turn_slider').bind('input change', function() {
+            GamePlay.cancelStep();
+            GamePlay.mode = "pause";
+            Board.goToTurn(Number(this.value));
+            GamePlay.draw();
+        });
+        $('#speed').val(GamePlay.DELAYS.indexOf(GamePlay.delay)).bind('input change', function() {
+            GamePlay.delay = GamePlay.DELAYS[Number(this.value)];
+        });
+        $('.runtoend').bind('click', function() { GamePlay.runUntil(function() { return false; });});
+        $('.runtoturn').bind('click', function() { GamePlay.runToTurn($('#run_turn').val());});
+        $('.runtotake').bind('click', function() { GamePlay.runUntil(GamePlay.tookFruit);});
         $('.newgame').bind('click', function() { GamePlay.setupNewGame();});
-        $('.reset').bind('click', function() { Board.reset();});
-        $('#check_breadcrumbs').click(function(evt) {
-          if (evt.srcElement.checked) {
-            GamePlay.show_breadcrumbs = true;
-          } else {
-            GamePlay.show_breadcrumbs = false;
-          }
+        $('.reset').bind('click', function() { GamePlay.cancelStep(); Board.reset(); GamePlay.start();});
+        $('#check_workers').bind('click', function() {
+            GamePlay.cancelStep();
+            GamePlay.useWorkers = this.checked;
+            GamePlay.start();
+        });
+        $('.loadseed').bind('click', function() { GamePlay.loadSeed($('#seed_input').val());});
+        $('.applygeneration').bind('click', function() { GamePlay.applyGeneration();});
+        $('#end_rule').bind('change', function() { Board.rules.end = this.value;});
+        $('#fault_rule').bind('change', function() { Board.rules.onFault = this.value;});
+        $('#time_limit').bind('change', function() {
+            Board.rules.moveTimeLimit = Math.max(0, parseInt(this.value, 10) || 0);
+            this.value = Board.rules.moveTimeLimit || '';
+        });
+        $('.exportreplay').bind('click', function() { GamePlay.exportReplay();});
+        $('.saveboard').bind('click', function() { GamePlay.saveBoard();});
+        $('#replay_file').bind('change', function() { GamePlay.loadFile(this.files[0]); this.value = '';});
+        $('#overlay').bind('change', function() { GamePlay.overlay = this.value; GamePlay.render();});
+        $('#overlay_seat').bind('change', function() { GamePlay.overlaySeat = this.value; GamePlay.render();});
+        $('#trail_turns').val(GamePlay.trailTurns).bind('change', function() {
+            GamePlay.trailTurns = Math.max(1, parseInt(this.value, 10) || 1);
+            this.value = GamePlay.trailTurns;
+            GamePlay.render();
         });
 
-        GamePlay.show_breadcrumbs = false;
+        $('#log_seat').bind('change', function() { GamePlay.logSeat = this.value; GamePlay.showLog();});
+        $('#log').delegate('.trace', 'click', function() {
+            GamePlay.cancelStep();
+            GamePlay.mode = "pause";
+            Board.goToTurn($(this).data('turn'));
+            GamePlay.draw();
+        });
+        $('.showmarks').bind('click', function() { GamePlay.showMarks[Number(this.value)] = this.checked; GamePlay.render();});
+
+        GamePlay.overlay = "none";
+        GamePlay.overlaySeat = "all";
+        GamePlay.showMarks = [true, true, true, true];
+        GamePlay.logSeat = "all";
+        GamePlay.useWorkers = false;
+        GamePlay.busy = false;
+        GamePlay.defaultGeneration = Board.copy(Board.generation);
+        GamePlay.setupSeats();
+        Editor.init();
+        Human.init();
         var itemImageUrls = ["assets/images/FruitApple.png", "assets/images/FruitBanana.png", "assets/images/FruitCherry.png", "assets/images/FruitMelon.png", "assets/images/FruitOrange.png"];
         GamePlay.itemImages = new Array();
         for (var i=0; i<itemImageUrls.length; i++) {
@@ -23,8 +79,15 @@ var GamePlay = {
             GamePlay.itemImages[i] = img;
         }
         GamePlay.player_one_image = new Image();
-        GamePlay.player_one_image.src = "assets/images/FruitBlueBot.png";
         GamePlay.player_two_image = new Image();
+        GamePlay.playerImages = [GamePlay.player_one_image, GamePlay.player_two_image];
+        // the third and fourth players are the blue bot in their own colours
+        GamePlay.player_one_image.onload = function() {
+            for (var seat=2; seat<GamePlay.COLOURS.length; seat++) {
+                GamePlay.playerImages[seat] = GamePlay.tint(GamePlay.player_one_image, GamePlay.COLOURS[seat]);
+            }
+        };
+        GamePlay.player_one_image.src = "assets/images/FruitBlueBot.png";
         GamePlay.player_two_image.src = "assets/images/FruitPurpleBot.png";
         GamePlay.visitedImg = new Image();
         GamePlay.visitedImg.src = "assets/images/FruitCellVisited.png";
@@ -33,20 +96,222 @@ var GamePlay = {
         GamePlay.oppVisitedImg = new Image();
         GamePlay.oppVisitedImg.src = "assets/images/FruitCellOppVisited.png";
         GamePlay.itemImages[itemImageUrls.length - 1].onload = function(){
-            GamePlay.setupNewGame();
+            GamePlay.setupNewGame(GamePlay.readUrl());
         };
 
     },
-    setupNewGame: function() {
-        Board.init();
+    SEAT_SELECTORS: ['#seat_one', '#seat_two', '#seat_three', '#seat_four'],
+    // fills the seat dropdowns with the registered bots, changing a seat restarts the game
+    // and changing the number of players starts a new game on the same board
+    setupSeats: function() {
+        $.each(GamePlay.SEAT_SELECTORS, function(seat, selector) {
+            $.each(Bots.names(), function(i, name) {
+                $(selector).append($('<option/>').attr('value', name).text(name));
+            });
+            $(selector).val(Board.seats[seat] || Board.seats[1]);
+            $(selector).bind('change', function() {
+                if (seat < Board.seats.length) {
+                    Board.seats[seat] = $(selector).val();
+                }
+                if (seat < Board.seats.length && Board.initial_state) {
+                    GamePlay.cancelStep();
+                    Board.reset();
+                    GamePlay.start();
+                }
+            });
+        });
+        $('#players').val(Board.seats.length).bind('change', function() {
+            var players = Number(this.value);
+            Board.seats = GamePlay.SEAT_SELECTORS.slice(0, players).map(function(selector) {
+                return $(selector).val();
+            });
+            GamePlay.showSeats();
+            if (Board.initial_state) {
+                Board.loadLayout(Board.layout());
+                GamePlay.setupBoard();
+            }
+        });
+        GamePlay.showSeats();
+    },
+    showSeats: function() {
+        $.each(GamePlay.SEAT_SELECTORS, function(seat, selector) {
+            $(selector).parent().toggle(seat < Board.seats.length);
+        });
+    },
+    // a board can be shared by opening game.html?seed=<seed>
+    // the board settings go along when they aren't the defaults, since a seed
+    // only makes the same board with the same settings. returns the seed
+    readUrl: function() {
+        var param = function(name) {
+            var match = new RegExp("[?&]" + name + "=([^&]*)").exec(window.location.search);
+            return match ? decodeURIComponent(match[1]) : undefined;
+        };
+        if (param("width") !== undefined) {
+            var generation = GamePlay.readGeneration(param);
+            try {
+                Board.checkGeneration(generation);
+                Board.generation = generation;
+            } catch (e) {
+                alert("Ignoring the board settings in the link: " + e.message);
+            }
+        }
+        GamePlay.showGeneration();
+        var seed = param("seed");
+        return seed === undefined ? undefined : Random.parseSeed(seed);
+    },
+    // board settings, reading each one through value(name)
+    readGeneration: function(value) {
+        var range = function(text) {
+            var match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(text || "");
+            return match ? [Number(match[1]), Number(match[2] === undefined ? match[1] : match[2])] : undefined;
+        };
+        return {
+            width: range(value("width")),
+            height: range(value("height")),
+            itemTypes: range(value("types")),
+            distribution: value("distribution"),
+            count: Number(value("count")),
+            start: value("start"),
+            // links from before there were walls don't have them
+            walls: Number(value("walls") || 0)
+        };
+    },
+    generationQuery: function() {
+        var generation = Board.generation;
+        if (JSON.stringify(generation) === JSON.stringify(GamePlay.defaultGeneration)) {
+            return "";
+        }
+        return "&width=" + generation.width.join("-") + "&height=" + generation.height.join("-") +
+               "&types=" + generation.itemTypes.join("-") + "&distribution=" + generation.distribution +
+               "&count=" + generation.count + "&start=" + generation.start + "&walls=" + generation.walls;
+    },
+    showGeneration: function() {
+        var generation = Board.generation;
+        $('#gen_width').val(generation.width.join("-"));
+        $('#gen_height').val(generation.height.join("-"));
+        $('#gen_types').val(generation.itemTypes.join("-"));
+        $('#gen_distribution').val(generation.distribution);
+        $('#gen_count').val(generation.count);
+        $('#gen_start').val(generation.start);
+        $('#gen_walls').val(generation.walls);
+    },
+    // new boards from now on are made with the settings in the page
+    applyGeneration: function() {
+        var generation = GamePlay.readGeneration(function(name) { return $('#gen_' + name).val(); });
+        try {
+            Board.checkGeneration(generation);
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        Board.generation = generation;
+        GamePlay.setupNewGame();
+    },
+    loadSeed: function(text) {
+        var seed = Random.parseSeed(text);
+        if (seed === undefined) {
+            alert("A seed is a whole number between 0 and 4294967295.");
+            return;
+        }
+        GamePlay.setupNewGame(seed);
+    },
+    showSeed: function() {
+        if (Board.seed === null) {
+            $('#current_seed').text("none, the board was edited");
+            $('#seed_link').removeAttr('href');
+            return;
+        }
+        $('#current_seed').text(Board.seed);
+        $('#seed_link').attr('href', '?seed=' + Board.seed + GamePlay.generationQuery());
+    },
+    // a replay brings the rules it was played with
+    showRules: function() {
+        $('#end_rule').val(Board.rules.end);
+        $('#fault_rule').val(Board.rules.onFault);
+        $('#time_limit').val(Board.rules.moveTimeLimit || '');
+    },
+    // saves the game so far as a JSON file that "load replay" can play back
+    exportReplay: function() {
+        GamePlay.download(Board.getReplay(), 'replay-' + GamePlay.fileName() + '.json');
+    },
+    // saves the board the game started on, without any moves
+    saveBoard: function() {
+        GamePlay.download(Board.layout(), 'board-' + GamePlay.fileName() + '.json');
+    },
+    fileName: function() {
+        return Board.seed === null ? 'edited' : Board.seed;
+    },
+    download: function(data, name) {
+        var blob = new Blob([JSON.stringify(data)], {type: 'application/json'});
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    },
+    // a replay has moves to play back, a saved board starts a new game
+    loadFile: function(file) {
+        if (!file) {
+            return;
+        }
+        var reader = new FileReader();
+        reader.onload = function() {
+            try {
+                var data = JSON.parse(reader.result);
+                if (data.moves) {
+                    Board.loadReplay(data);
+                } else {
+                    Board.loadLayout(data);
+                }
+            } catch (e) {
+                alert("Could not load " + file.name + ": " + e.message);
+                return;
+            }
+            GamePlay.setupBoard();
+        };
+        reader.readAsText(file);
+    },
+    setupNewGame: function(seed) {
+        Board.init(seed);
+        GamePlay.setupBoard();
+    },
+    // every seat's colour, for its name, its breadcrumbs and the bots past the second one
+    COLOURS: ["#366B76", "#82298E", "#C96A1B", "#3B8A3A"],
+    // where each seat's bot is drawn in its cell, so bots on one cell don't hide each other
+    OFFSETS: [[2, 2], [-2, -2], [2, -2], [-2, 2]],
+    tint: function(image, colour) {
+        var canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        var ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        ctx.globalCompositeOperation = 'source-atop';
+        ctx.globalAlpha = 0.6;
+        ctx.fillStyle = colour;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        return canvas;
+    },
+    // the score panel has a row for every player and one for the fruit left
+    panelHeight: function() {
+        return 75 * Board.positions.length + 100;
+    },
+    // sizes the page for the board that was just set up and starts the game
+    setupBoard: function() {
+        GamePlay.cancelStep();
         Board.newGame();
+        GamePlay.showSeed();
+        Editor.showSize();
+        GamePlay.showRules();
+        $('#replay_status').text(Board.replayMoves ? "replay of " + Board.playerNames().join(" vs ") : "");
         GamePlay.itemTypeCount = get_number_of_item_types();
         document.getElementById('grid').width = GamePlay.itemTypeCount * 50 + WIDTH * 50;
         document.getElementById('grid').height = HEIGHT * 50;
         document.getElementById('game_view').width = GamePlay.itemTypeCount * 50 + WIDTH * 50;
-        document.getElementById('game_view').height = HEIGHT * 50;
+        // boards can be shorter than the score panel next to them
+        document.getElementById('game_view').height = Math.max(HEIGHT * 50, GamePlay.panelHeight());
         $('#buttons').css('padding-left', GamePlay.itemTypeCount * 50);
-        $('#buttons').css('padding-top', HEIGHT * 50);
+        $('#buttons').css('padding-top', Math.max(HEIGHT * 50, GamePlay.panelHeight()));
         Grid.draw();
         GamePlay.start();
     },
@@ -54,94 +319,368 @@ var GamePlay = {
         GamePlay.mode = "pause";
         GamePlay.draw();
     },
-    draw: function() {
+    // milliseconds between the turns of a game that is playing, from the
+    // speed slider's slowest to its fastest
+    DELAYS: [1000, 500, 250, 100, 50, 10, 0],
+    delay: 100,
+    // plays turns without drawing them until stop() is true after a turn or
+    // the game is over, then draws the board. pause (or play) stops it early
+    runUntil: function(stop) {
+        GamePlay.mode = "run";
+        var finish = function() {
+            if (GamePlay.mode === "run") {
+                GamePlay.mode = "pause";
+            }
+            GamePlay.draw();
+        };
+        var next = function() {
+            // long runs give the page a moment now and then so it stays responsive
+            var slice = Date.now();
+            while (GamePlay.mode === "run" && !Board.isOver()) {
+                var stepped = false, waiting = false;
+                var playing = GamePlay.step(function() {
+                    stepped = true;
+                    if (waiting) {
+                        stop() ? finish() : next();
+                    }
+                });
+                // nothing to wait for when a turn is already being played or the board is being edited
+                if (!playing) {
+                    break;
+                }
+                // workers and humans answer later, the callback carries on from there
+                if (!stepped) {
+                    waiting = true;
+                    return;
+                }
+                if (stop()) {
+                    break;
+                }
+                if (Date.now() - slice > 50) {
+                    GamePlay.showTurn();
+                    setTimeout(next, 0);
+                    return;
+                }
+            }
+            finish();
+        };
+        next();
+    },
+    // whether a bot got some fruit on the last turn, a TAKE on an empty cell doesn't count
+    tookFruit: function() {
+        var before = Board.timeline[Board.turn - 1].board;
+        return before.some(function(column, x) {
+            return column.some(function(type, y) { return type > 0 && Board.board[x][y] === 0; });
+        });
+    },
+    // turns already played are shown straight away
+    runToTurn: function(text) {
+        var turn = Number(text);
+        if (!/^\d+$/.test(text)) {
+            alert("Run until which turn? Give a whole number.");
+            return;
+        }
+        if (turn <= Board.lastTurn()) {
+            GamePlay.cancelStep();
+            GamePlay.mode = "pause";
+            Board.goToTurn(turn);
+            GamePlay.draw();
+            return;
+        }
+        GamePlay.runUntil(function() { return Board.turn >= turn; });
+    },
+    // plays a turn and calls done afterwards. with useWorkers the bots think in
+    // their own workers (see workers.js) and the page carries on meanwhile.
+    // returns false without playing while a turn is already being played or
+    // the board is being edited, done is never called then
+    step: function(done) {
+        if (GamePlay.busy || Editor.editing) {
+            return false;
+        }
+        // a human seat's move comes first, the play loop waits for it as long as it takes
+        if (!Human.ready()) {
+            GamePlay.busy = true;
+            Human.waitForMoves(function() {
+                GamePlay.busy = false;
+                GamePlay.step(done);
+            });
+            return true;
+        }
+        if (!GamePlay.useWorkers || Board.replayMoves) {
+            Board.processMove();
+            done();
+            return true;
+        }
+        GamePlay.busy = true;
+        BotWorkers.askForMoves(function(moves) {
+            GamePlay.busy = false;
+            Board.processMove(moves);
+            done();
+        });
+        return true;
+    },
+    // drops a turn the workers or humans are still thinking about
+    cancelStep: function() {
+        BotWorkers.stop();
+        Human.cancel();
+        GamePlay.busy = false;
+    },
+    // draws the board and fills in the panels around it as they are now,
+    // for changes to what is shown that shouldn't play a turn or pause
+    render: function() {
         var ctx = GamePlay.canvas.getContext('2d');
         ctx.clearRect(0,0,GamePlay.canvas.width,GamePlay.canvas.height);
         GamePlay.drawItems(ctx, Board.board, Board.history);
-        GamePlay.drawPlayerTwo(ctx, Board.board);
-        GamePlay.drawPlayerOne(ctx, Board.board);
+        GamePlay.drawOverlay(ctx);
+        GamePlay.drawPlayers(ctx);
+        GamePlay.drawMarks(ctx);
         GamePlay.displayScore(ctx, Board.board);
+        GamePlay.showTurn();
+        GamePlay.showFaults();
+        GamePlay.showLog();
+        GamePlay.showResults();
+    },
+    // draws the board and, while playing, plays the next turn and draws again
+    draw: function() {
+        GamePlay.render();
         if (GamePlay.mode == "play") {
-           if (Board.noMoreItems()) {
-               var score = 0;
-               for (var i=0; i<GamePlay.itemTypeCount; i++) {
-                   if (Board.myBotCollected[i] > Board.simpleBotCollected[i]) {
-                       score += 1;
-                   }
-                   if (Board.myBotCollected[i] < Board.simpleBotCollected[i]) {
-                       score -= 1;
-                   }
-               }
-               if (score > 0) {
-                   ctx.font = "30px Arial";
-                   ctx.fillStyle = "#000";
-                   ctx.fillText("You win!", 0, 275);
-               }
-               if (score < 0) {
-                   ctx.font = "30px Arial";
-                   ctx.fillStyle = "#000";
-                   ctx.fillText("You lose!", 0, 275);
-               }
-               if (score === 0) {
-                   ctx.font = "30px Arial";
-                   ctx.fillStyle = "#000";
-                   ctx.fillText("You tie!", 0, 275);
-               }
+           if (Board.isOver()) {
                GamePlay.mode = "pause";
                return;
            }
-           Board.processMove();
-           setTimeout(function() {GamePlay.draw();}, 100);
+           GamePlay.step(function() {
+               setTimeout(function() {GamePlay.draw();}, GamePlay.delay);
+           });
         } else {
            GamePlay.mode = "pause";
         }
     },
-    displayScore: function(ctx, state) {
-        ctx.font = "30px Arial";
-        ctx.fillStyle = "#366B76";
-        ctx.fillText("My Bot", 0, 50);
-        ctx.font = "15px Arial";
-        ctx.fillStyle = "#000";
-        for (var i=0; i<GamePlay.itemTypeCount; i++) {
-            ctx.fillText(Board.myBotCollected[i].toFixed(1), 50*i, 75);
-            ctx.drawImage(GamePlay.itemImages[i], 52*i+15, 55, 25, 25);
+    showTurn: function() {
+        $('#turn_slider').attr('max', Board.lastTurn()).val(Board.turn);
+        $('#turn_number').text("turn " + Board.turn + " of " + Board.lastTurn());
+    },
+    // in the order of the fruit images
+    FRUIT_NAMES: ["apple", "banana", "cherry", "melon", "orange"],
+    // once the game is over, who won each fruit type and the game (see Board.result)
+    showResults: function() {
+        $('#results').empty();
+        if (!Board.isOver()) {
+            return;
         }
-        ctx.font = "30px Arial";
-        ctx.fillStyle = "#82298E";
-        ctx.fillText("Simple Bot", 0, 125);
-        ctx.font = "15px Arial";
-        ctx.fillStyle = "#000";
-        for (var i=0; i<GamePlay.itemTypeCount; i++) {
-            ctx.fillText(Board.simpleBotCollected[i].toFixed(1), 50*i, 150);
-            ctx.drawImage(GamePlay.itemImages[i], 52*i+15, 130, 25, 25);
+        var result = Board.result();
+        var nameOf = function(seat) { return seat < 0 ? "tie" : result.seats[seat]; };
+        var row = function(cells, tag) {
+            var tr = $('<tr/>');
+            $.each(cells, function(i, cell) { tr.append($(tag || '<td/>').text(cell)); });
+            return tr;
+        };
+        var winners = $.map(result.winners, nameOf);
+        var points = result.points[result.winners[0]];
+        $('#results').append($('<div/>').text(winners.length === 1 ?
+            winners[0] + " wins with " + points + " of " + result.numberOfItemTypes + " fruit types" :
+            winners.join(" and ") + " tie with " + points + " fruit types each"));
+        var table = $('<table/>');
+        table.append(row(["fruit"].concat(result.seats, ["split", "won by", "margin"]), '<th/>'));
+        $.each(result.categories, function(i, category) {
+            var counts = $.map(category.collected, function(n) { return n.toFixed(1); });
+            var margin = (category.margin > 0 ? "+" : "") + category.margin.toFixed(1);
+            table.append(row([GamePlay.FRUIT_NAMES[i]].concat(counts, [category.split, nameOf(category.winner), margin])));
+        });
+        table.append(row(["fruit types won"].concat(result.points, ["", "", ""])));
+        $('#results').append(table);
+        $('#results').append($('<div/>').text(result.turns + " turns played, " + result.split +
+                                              " fruit split between bots that took them together"));
+    },
+    showFaults: function() {
+        $('#faults').empty();
+        $.each(Board.currentFaults(), function(i, fault) {
+            $('#faults').append($('<div/>').text("turn " + fault.turn + ": " + fault.bot + " " + fault.message +
+                                                 (fault.forfeit ? " and forfeits" : "")));
+        });
+    },
+    // everything the bots traced, or only what the bot in logSeat did. the
+    // entries are only built again when there are new ones, the current
+    // turn's are shown in bold and clicking one goes to its turn
+    showLog: function() {
+        if (GamePlay.logTraces !== Board.traces || GamePlay.logLength !== Board.traces.length ||
+            GamePlay.logShownSeat !== GamePlay.logSeat) {
+            GamePlay.logTraces = Board.traces;
+            GamePlay.logLength = Board.traces.length;
+            GamePlay.logShownSeat = GamePlay.logSeat;
+            $('#log').empty();
+            $.each(Board.traces, function(i, entry) {
+                if (GamePlay.logSeat === "all" || Number(GamePlay.logSeat) === entry.seat) {
+                    $('#log').append($('<div class="trace"/>').data('turn', entry.turn)
+                        .css('color', GamePlay.COLOURS[entry.seat])
+                        .text("turn " + entry.turn + ": " + entry.bot + ": " + entry.message));
+                }
+            });
+        }
+        $('#log .trace').each(function() {
+            $(this).css('font-weight', $(this).data('turn') === Board.turn ? 'bold' : 'normal');
+        });
+    },
+    displayScore: function(ctx, state) {
+        var names = Board.playerNames();
+        for (var seat=0; seat<Board.positions.length; seat++) {
+            ctx.font = "30px Arial";
+            ctx.fillStyle = GamePlay.COLOURS[seat];
+            ctx.fillText(names[seat], 0, 50 + 75 * seat);
+            ctx.font = "15px Arial";
+            ctx.fillStyle = "#000";
+            for (var i=0; i<GamePlay.itemTypeCount; i++) {
+                ctx.fillText(Board.collected[seat][i].toFixed(1), 50*i, 75 + 75 * seat);
+                ctx.drawImage(GamePlay.itemImages[i], 52*i+15, 55 + 75 * seat, 25, 25);
+            }
         }
+        var top = 75 * Board.positions.length;
         ctx.font = "30px Arial";
         ctx.fillStyle = "#F00";
-        ctx.fillText("items left", 0, 200);
+        ctx.fillText("items left", 0, top + 50);
         ctx.font = "15px Arial";
         ctx.fillStyle = "#000";
         for (var i=0; i<GamePlay.itemTypeCount; i++) {
-            ctx.fillText((Board.totalItems[i]-Board.myBotCollected[i]-Board.simpleBotCollected[i]).toFixed(1), 50*i, 225);
-            ctx.drawImage(GamePlay.itemImages[i], 52*i+15, 205, 25, 25);
+            ctx.fillText(Board.itemsLeft(i).toFixed(1), 50*i, top + 75);
+            ctx.drawImage(GamePlay.itemImages[i], 52*i+15, top + 55, 25, 25);
         }
     },
-    drawPlayerOne: function(ctx, state) {
-        ctx.drawImage(GamePlay.player_one_image, GamePlay.itemTypeCount * 50 + Board.myX * 50 + 2, Board.myY * 50 + 2);
+    // the first seat is drawn last so it is on top
+    drawPlayers: function(ctx) {
+        for (var seat=Board.positions.length - 1; seat>=0; seat--) {
+            var position = Board.positions[seat], offset = GamePlay.OFFSETS[seat];
+            ctx.drawImage(GamePlay.playerImages[seat], GamePlay.itemTypeCount * 50 + position[0] * 50 + offset[0],
+                          position[1] * 50 + offset[1]);
+        }
     },
-    drawPlayerTwo: function(ctx, state) {
-        ctx.drawImage(GamePlay.player_two_image, GamePlay.itemTypeCount * 50 + Board.oppX * 50 - 2, Board.oppY * 50 - 2);
+    // history has a bit for every seat that was last on the cell, past the first
+    // two players there are no images so every seat gets a strip in its colour
+    drawBreadcrumb: function(ctx, x, y, seats) {
+        var strips = [];
+        for (var seat=0; seat<Board.positions.length; seat++) {
+            if (seats & (1 << seat)) {
+                strips.push({seat: seat, alpha: 0.4});
+            }
+        }
+        GamePlay.drawStrips(ctx, x, y, strips);
+    },
+    // splits the cell into a see-through strip for each {seat, alpha}
+    drawStrips: function(ctx, x, y, strips) {
+        strips.forEach(function(strip, n) {
+            ctx.globalAlpha = strip.alpha;
+            ctx.fillStyle = GamePlay.COLOURS[strip.seat];
+            ctx.fillRect(GamePlay.itemTypeCount * 50 + x * 50 + n * 50 / strips.length, y * 50, 50 / strips.length, 50);
+        });
+        ctx.globalAlpha = 1;
+    },
+    // the seats the overlay is shown for
+    overlaySeats: function() {
+        var seats = [];
+        for (var seat=0; seat<Board.positions.length; seat++) {
+            if (GamePlay.overlaySeat === "all" || Number(GamePlay.overlaySeat) === seat) {
+                seats.push(seat);
+            }
+        }
+        return seats;
+    },
+    // overlay is "heatmap" to colour every cell by how many turns the bots spent
+    // on it, or "trail" for where they were in the last trailTurns turns, fading
+    // with age. overlaySeat is "all" or the one seat to show
+    trailTurns: 10,
+    drawOverlay: function(ctx) {
+        if (GamePlay.overlay !== "heatmap" && GamePlay.overlay !== "trail") {
+            return;
+        }
+        var trail = GamePlay.overlay === "trail";
+        var seats = GamePlay.overlaySeats();
+        var heat = trail ? GamePlay.trail(GamePlay.trailTurns) : Board.visits();
+        var most = 0;
+        seats.forEach(function(seat) {
+            heat[seat].forEach(function(column) { most = Math.max.apply(null, [most].concat(column)); });
+        });
+        ctx.font = "11px Arial";
+        for (var i=0; i<WIDTH; i++) {
+            for (var j=0; j<HEIGHT; j++) {
+                var strips = [], visits = 0;
+                seats.forEach(function(seat) {
+                    if (heat[seat][i][j] > 0) {
+                        strips.push({seat: seat, alpha: trail ? 0.8 * heat[seat][i][j] : 0.15 + 0.6 * heat[seat][i][j] / most});
+                        visits += heat[seat][i][j];
+                    }
+                });
+                GamePlay.drawStrips(ctx, i, j, strips);
+                if (!trail && visits > 0) {
+                    ctx.fillStyle = "#000";
+                    ctx.fillText(visits, GamePlay.itemTypeCount * 50 + i * 50 + 3, j * 50 + 12);
+                }
+            }
+        }
+    },
+    // what the bots drew with the debug_ functions while deciding the moves that
+    // got the board here, on top of everything else. each seat can be hidden
+    drawMarks: function(ctx) {
+        var marks = Board.annotations[Board.turn - 1] || [];
+        var left = GamePlay.itemTypeCount * 50;
+        ctx.font = "bold 12px Arial";
+        marks.forEach(function(seatMarks, seat) {
+            if (!seatMarks || !GamePlay.showMarks[seat]) {
+                return;
+            }
+            var offset = GamePlay.OFFSETS[seat];
+            seatMarks.forEach(function(mark) {
+                ctx.fillStyle = ctx.strokeStyle = mark.colour || GamePlay.COLOURS[seat];
+                if (mark.path) {
+                    ctx.globalAlpha = 0.8;
+                    ctx.lineWidth = 3;
+                    ctx.beginPath();
+                    mark.path.forEach(function(cell, n) {
+                        var x = left + cell[0] * 50 + 25 + offset[0], y = cell[1] * 50 + 25 + offset[1];
+                        if (n === 0) {
+                            ctx.moveTo(x, y);
+                        } else {
+                            ctx.lineTo(x, y);
+                        }
+                    });
+                    ctx.stroke();
+                } else if (mark.label !== undefined) {
+                    ctx.globalAlpha = 1;
+                    ctx.fillText(mark.label, left + mark.cell[0] * 50 + 3, mark.cell[1] * 50 + 46);
+                } else {
+                    ctx.globalAlpha = 0.3;
+                    ctx.fillRect(left + mark.cell[0] * 50, mark.cell[1] * 50, 50, 50);
+                }
+            });
+        });
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 1;
+    },
+    // for every seat, how recently it was on each cell in the last turns turns:
+    // 1 for where it is now down to 1 / turns for the oldest, 0 if it wasn't there
+    trail: function(turns) {
+        var trail = Board.positions.map(function() { return Board.emptyGrid(WIDTH, HEIGHT); });
+        for (var turn=Math.max(0, Board.turn - turns + 1); turn<=Board.turn; turn++) {
+            Board.timeline[turn].positions.forEach(function(position, seat) {
+                trail[seat][position[0]][position[1]] = (turn - Board.turn + turns) / turns;
+            });
+        }
+        return trail;
     },
     drawItems: function(ctx, state, history) {
+        // breadcrumbs only of the seats the overlay is shown for
+        var shown = 0;
+        GamePlay.overlaySeats().forEach(function(seat) { shown |= 1 << seat; });
         for (var i=0; i<WIDTH; i++) {
             for (var j=0; j<HEIGHT; j++) {
+                var crumbs = history[i][j] & shown;
                 if (state[i][j] !== 0) {
                     ctx.drawImage(GamePlay.itemImages[state[i][j] - 1], GamePlay.itemTypeCount * 50 + i * 50, j * 50);
-                } else if (GamePlay.show_breadcrumbs && history[i][j]==1) {
+                } else if (GamePlay.overlay === "breadcrumbs" && crumbs==1) {
                     ctx.drawImage(GamePlay.visitedImg, GamePlay.itemTypeCount * 50 + i * 50, j * 50);
-                } else if (GamePlay.show_breadcrumbs && history[i][j]==2) {
+                } else if (GamePlay.overlay === "breadcrumbs" && crumbs==2) {
                     ctx.drawImage(GamePlay.oppVisitedImg, GamePlay.itemTypeCount * 50 + i * 50, j * 50);
-                } else if (GamePlay.show_breadcrumbs && history[i][j]==3) {
+                } else if (GamePlay.overlay === "breadcrumbs" && crumbs==3) {
                     ctx.drawImage(GamePlay.bothVisitedImg, GamePlay.itemTypeCount * 50 + i * 50, j * 50);
+                } else if (GamePlay.overlay === "breadcrumbs" && crumbs > 3) {
+                    GamePlay.drawBreadcrumb(ctx, i, j, crumbs);
                 }
             }
         }
@@ -0,0 +1,26 @@
+// Seedable pseudo random number generator. Board generation draws all of its
+// randomness from here so that any board can be regenerated from its seed.
+var Random = {
+    state: 0,
+    setSeed: function(seed) {
+        Random.state = seed >>> 0;
+    },
+    // mulberry32, returns a number in [0, 1) just like Math.random
+    next: function() {
+        var t = Random.state = (Random.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    newSeed: function() {
+        return Math.floor(Math.random() * 4294967296);
+    },
+    // turns user input into a seed, returns undefined if it isn't one
+    parseSeed: function(text) {
+        text = String(text).trim();
+        if (!/^\d+$/.test(text) || Number(text) >= 4294967296) {
+            return undefined;
+        }
+        return Number(text);
+    }
+};
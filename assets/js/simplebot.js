@@ -2,13 +2,10 @@
 
 var SimpleBot = {
     makeMove: function() {
-       // to disable to opponent, uncomment the next line
-       // return PASS;
-
        SimpleBot.board = get_board();
 
        // we found an item! take it!
-       if (has_item(SimpleBot.board[get_opponent_x()][get_opponent_y()])) {
+       if (has_item(SimpleBot.board[get_my_x()][get_my_y()])) {
            return TAKE;
        }
 
@@ -23,7 +20,7 @@ var SimpleBot = {
        }
 
        // let's find the move that will start leading us to the closest item
-       return SimpleBot.findMove(new node(get_opponent_x(), get_opponent_y(), -1));
+       return SimpleBot.findMove(new node(get_my_x(), get_my_y(), -1));
     },
 
     findMove: function(n) {
@@ -85,6 +82,8 @@ var SimpleBot = {
     isValidMove: function(x, y) {
         if (x < 0 || y < 0 || x >= WIDTH || y >= HEIGHT)
             return false;
+        if (is_wall(x, y))
+            return false;
         return true;
     }
 }
@@ -94,3 +93,10 @@ function node(x, y, move) {
     this.y = y;
     this.move = move;
 }
+
+Bots.register({
+    name: "SimpleBot",
+    makeMove: function() {
+        return SimpleBot.makeMove();
+    }
+});
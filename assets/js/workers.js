@@ -0,0 +1,135 @@
+// Runs the seated bots in Web Workers (see botworker.js) so that a bot that
+// takes forever can't freeze the page. Each worker gets a snapshot of the
+// board every turn and posts back its move. A worker that runs out of time
+// is terminated and its bot passes for the rest of the game.
+var BotWorkers = {
+    // milliseconds a bot gets for a move when the rules don't set a limit
+    TIME_LIMIT: 10000,
+    // scripts the page loads that can't or needn't run in a worker
+    PAGE_ONLY_SCRIPTS: ["jquery.min.js", "player.js", "grid.js", "workers.js", "editor.js", "human.js"],
+    seats: [],
+    // the turn the workers expect to be asked about next
+    turn: -1,
+
+    // the page's scripts, so workers know the same bots the page does
+    scripts: function() {
+        var scripts = [];
+        $('script[src]').each(function() {
+            var src = this.src;
+            var pageOnly = BotWorkers.PAGE_ONLY_SCRIPTS.some(function(name) {
+                return src.slice(-name.length - 1) === "/" + name;
+            });
+            if (!pageOnly) {
+                scripts.push(src);
+            }
+        });
+        return scripts;
+    },
+    stop: function() {
+        BotWorkers.seats.forEach(function(seat) {
+            clearTimeout(seat.timer);
+            if (seat.worker) {
+                seat.worker.terminate();
+            }
+        });
+        BotWorkers.seats = [];
+        BotWorkers.turn = -1;
+    },
+    // starts a worker for every seat but the human ones, caught up to the current turn
+    start: function() {
+        BotWorkers.stop();
+        BotWorkers.seats = Board.seats.map(function(name) {
+            if (Bots.registry[name].human) {
+                return {human: true};
+            }
+            return {worker: new Worker("assets/js/botworker.js"), started: false, stopped: false};
+        });
+        BotWorkers.turn = Board.turn;
+    },
+    // asks every seat for its move this turn and calls done(moves) once they have all
+    // answered or run out of time. the moves are already checked, see Board.checkMove
+    askForMoves: function(done) {
+        // the turns after this one go first, or what the bots report now would go with them
+        if (Board.turn < Board.lastTurn()) {
+            Board.branch(false);
+        }
+        if (BotWorkers.turn !== Board.turn) {
+            BotWorkers.start();
+        }
+        var moves = [], waiting = BotWorkers.seats.length;
+        BotWorkers.seats.forEach(function(entry, seat) {
+            BotWorkers.askSeat(seat, function(move) {
+                moves[seat] = move;
+                waiting--;
+                if (waiting === 0) {
+                    BotWorkers.turn = Board.turn + 1;
+                    done(moves);
+                }
+            });
+        });
+    },
+    askSeat: function(seat, answer) {
+        var entry = BotWorkers.seats[seat];
+        if (Board.forfeited().indexOf(seat) >= 0) {
+            answer(PASS);
+            return;
+        }
+        if (entry.human) {
+            answer(Board.askForMove(seat));
+            return;
+        }
+        if (entry.stopped) {
+            answer(PASS);
+            return;
+        }
+        var limit = Board.rules.moveTimeLimit || BotWorkers.TIME_LIMIT;
+        var turns = 1;
+        var message = {type: "move", snapshot: Board.snapshot()};
+        if (!entry.started) {
+            // a new worker first catches up on every turn played so far
+            var history = Board.timeline.slice(0, Board.turn);
+            message = {
+                type: "start",
+                scripts: BotWorkers.scripts(),
+                seats: Board.seats.slice(),
+                seat: seat,
+                game: Board.game(),
+                history: history,
+                snapshot: Board.snapshot()
+            };
+            turns = history.length + 1;
+            limit *= turns;
+            entry.started = true;
+        }
+        var started = Date.now();
+        entry.timer = setTimeout(function() {
+            entry.worker.terminate();
+            entry.stopped = true;
+            answer(Board.checkMove(seat, undefined, limit,
+                                   "took longer than " + limit + " ms and was stopped, it passes from now on"));
+        }, limit);
+        entry.worker.onmessage = function(event) {
+            if (event.data.type === "fault") {
+                // a worker started later in the game already had its new game fault reported
+                if (message.type === "start" && message.history.length === 0) {
+                    Board.reportFault(seat, 0, event.data.message);
+                }
+                return;
+            }
+            clearTimeout(entry.timer);
+            Board.annotate(seat, event.data.marks);
+            event.data.traces.forEach(function(entry) { Board.traces.push(entry); });
+            var elapsed = Math.round((Date.now() - started) / turns);
+            answer(Board.checkMove(seat, event.data.move, elapsed, event.data.error));
+        };
+        entry.worker.onerror = function(event) {
+            event.preventDefault();
+            clearTimeout(entry.timer);
+            entry.worker.terminate();
+            entry.stopped = true;
+            answer(Board.checkMove(seat, undefined, Date.now() - started,
+                                   "crashed its worker (" + event.message + "), it passes from now on"));
+        };
+        entry.worker.postMessage(message);
+    }
+};
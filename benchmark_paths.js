@@ -0,0 +1,230 @@
+// Times path_construction.best_path in mybot.js against the path enumeration
+// it replaced, copied below as old_path_construction, and checks that it
+// finds a path through as much fruit as the best of the enumerated paths
+// ("most" leaves out the start and end). "old cache" is how many entries the
+// enumeration's cache gained in the case:
+//
+//   node benchmark_paths.js
+//
+// Every case puts the fruit at random on a full 15x15 board and looks for
+// paths from one corner to the opposite one. The enumeration grows
+// combinatorially with the fruit, so it is only run up to OLD_MOST_FRUIT.
+var Headless = require('./assets/js/headless.js');
+
+var SIZE = 15;
+var FRUIT = [5, 10, 15, 20, 30, 50, 100];
+var OLD_MOST_FRUIT = 50;
+var RUNS = 5;
+
+var sandbox = Headless.createSandbox([], {quiet: true});
+var coordinate_functions = sandbox.coordinate_functions;
+
+// path_construction as it was before best_path, for comparison
+var old_path_construction = {
+  /**
+   * Merges two objects by destructively updating the first one
+   * with keys and values from the second one.
+   * @param a The first object that will be updated.
+   * @param b The object that will be merged into the first one.
+   */
+  merge : function (a, b) {
+    for (var k in b) {
+      a[k] = b[k];
+    }
+  },
+  /**
+   * Takes an already constructed partial path and a reachability graph
+   * and tries to extend the path forward. If extension is not possible
+   * the original path is returned wrapped in an array.
+   * @param partial_path The path we want to extend.
+   * @param path_graph The reachability graph that serves as a constraint
+   * on how a partial path can be extended.
+   * @return {*}
+   */
+  extend_partial_path : function (partial_path, path_graph) {
+    var possible_extensions = path_graph[partial_path[partial_path.length - 1]];
+    if (!possible_extensions) {
+      return [partial_path];
+    }
+    return possible_extensions.map(function (node) {
+      return partial_path.concat([node]);
+    });
+  },
+  /**
+   * Given a set of partial paths and a reachability graph that serves as a constraint
+   * for path extension we return the set of all possible extensions of the initial
+   * set of partial paths.
+   * @param partial_paths The partial paths that serve as seeds for extension.
+   * @param path_graph The reachability graph that serves as a set of constraints
+   * for path extension.
+   * @return {Array}
+   */
+  extract_paths : function (partial_paths, path_graph) {
+    var need_extension = [], done = [];
+    /* see if we were able to extend anything and buffer those for potential re-extension.
+    save everything else as done. */
+    partial_paths.forEach(function (partial_path) {
+      var extensions = this.extend_partial_path(partial_path, path_graph);
+      if (extensions[0].length === partial_path.length) {
+        done.push(partial_path);
+      } else {
+        extensions.forEach(function (extension) {
+          need_extension.push(extension);
+        });
+      }
+    }, this);
+    /* base case */
+    if (need_extension.length === 0) {
+      return done;
+    }
+    /* recursive case */
+    return done.concat(this.extract_paths(need_extension, path_graph));
+  },
+  /**
+   * Given a start and end points along with nodes we want to pass through
+   * we construct the paths that only pass through those nodes and no more.
+   * @param start The initial point for the set of paths we want to construct.
+   * @param end The terminal point for the set of paths.
+   * @param nodes The set of points we want our paths to go through. The assumption
+   * is that these nodes are contained in the box defined by the start and end points.
+   * This array should contain all accessible nodes except the starting point. Accessible
+   * means that the end point should be included in this array.
+   * @returns {Array} The set of paths given as a set of ordered points.
+   */
+  construct_restricted_paths : function(start, end, nodes) {
+    /* if nodes does not include the end point then we need to add it */
+    if (!nodes.some(function (node) { return node[0] === end[0] && node[1] === end[1]; })) {
+      nodes.push(end);
+    }
+    /* construct a partial reachability graph and refine it until we have the reachability graph */
+    var initial_graph = {}; initial_graph[start] = nodes;
+    var refined_data = this.single_refinement_step(end, nodes);
+    var refined_graph = refined_data.graph;
+    var need_further_refinement = Object.keys(refined_graph);
+    /* base case */
+    if (need_further_refinement.length === 0) {
+      return initial_graph;
+    }
+    /* recursive case */
+    initial_graph[start] = refined_data.filtered_nodes;
+    need_further_refinement.map(function (node) {
+      return this.construct_restricted_paths(node, end, refined_graph[node]);
+    }, this).forEach(function (graph) { this.merge(initial_graph, graph); }, this);
+    return initial_graph;
+  },
+  /**
+   * Given a starting node and an ending node and a set of nodes that paths need to pass
+   * through this function returns the set of all possible paths that satisfy those
+   * constraints.
+   * @param start Our starting point.
+   * @param end Our destination.
+   * @param nodes The set of nodes we want to pass through if possible.
+   * @return {Array}
+   */
+  possible_paths : function (start, end, nodes) {
+    /* extract the reachability graph */
+    var reachability_graph = this.construct_restricted_paths(start, end, nodes);
+    return this.extract_paths([[start]], reachability_graph);
+  },
+  /**
+   * Given a partially constructed set of data that serves as a proxy for
+   * a reachability graph we perform a single refinement step to increase
+   * the granularity of the reachability graph by splitting the set of
+   * reachable nodes into two sets if possible.
+   * @param end Our destination node.
+   * @param reachable_nodes A set of partially constructed reachable nodes.
+   * @return {*}
+   */
+  single_refinement_step : function(end, reachable_nodes) {
+    var cache_hit;
+    //noinspection AssignmentResultUsedJS
+    if (cache_hit = this.single_refinement_step_cache[[end, reachable_nodes]]) {
+      return cache_hit;
+    }
+    var refinement = this.refine(end, reachable_nodes);
+    var reachable_in_two_steps = refinement.reachable_in_two_steps;
+    var filtered_nodes = reachable_nodes.filter(function (node) { return !reachable_in_two_steps[node]; });
+    var refined_data = {filtered_nodes : filtered_nodes, graph : refinement.refined_graph};
+    return this.single_refinement_step_cache[[end, reachable_nodes]] = refined_data;
+  },
+  /**
+   * Keeps refining the set of nodes until everything is reachable in one step.
+   * @param end Where we want to end up.
+   * @param nodes The initial set of nodes we want to pass through.
+   * @return {Object}
+   */
+  refine : function (end, nodes) {
+    var reachable_nodes = {}, accumulator = {};
+    nodes.forEach(function (node) {
+      var box_coords = coordinate_functions.box_coordinates_from_endpoints(node, end);
+      var filter = function (n) { return n[0] !== node[0] || n[1] !== node[1]; };
+      var refined_nodes = coordinate_functions.nodes_in_box(box_coords, nodes, filter);
+      if (refined_nodes.length > 0) {
+        refined_nodes.forEach(function (node) { reachable_nodes[node] = true; });
+        accumulator[node] = refined_nodes;
+      }
+    });
+    return {reachable_in_two_steps : reachable_nodes, refined_graph : accumulator};
+  },
+  /**
+   * Caches computations of refinement.
+   */
+  single_refinement_step_cache : {}
+};
+
+// count fruit on distinct random cells between the corners, the same every run
+function randomFruit(count, seed) {
+    sandbox.Random.setSeed(seed);
+    var cells = [];
+    for (var x=0; x<SIZE; x++) {
+        for (var y=0; y<SIZE; y++) {
+            if ((x > 0 || y > 0) && (x < SIZE - 1 || y < SIZE - 1)) {
+                cells.push([x, y]);
+            }
+        }
+    }
+    for (var n=cells.length - 1; n>0; n--) {
+        var pick = Math.floor(sandbox.Random.next() * (n + 1));
+        var cell = cells[pick];
+        cells[pick] = cells[n];
+        cells[n] = cell;
+    }
+    return cells.slice(0, count);
+}
+
+// milliseconds fn takes on average over RUNS runs, and what the last one returned
+function time(fn) {
+    var result, started = process.hrtime();
+    for (var run=0; run<RUNS; run++) {
+        result = fn();
+    }
+    var elapsed = process.hrtime(started);
+    return {ms: (elapsed[0] * 1e3 + elapsed[1] / 1e6) / RUNS, result: result};
+}
+
+function main() {
+    var start = [0, 0], end = [SIZE - 1, SIZE - 1];
+    console.log("fruit\told ms\told paths\told most\told cache\tnew ms\tnew most");
+    FRUIT.forEach(function(count, i) {
+        var fruit = randomFruit(count, i + 1);
+        var row = [count];
+        if (count <= OLD_MOST_FRUIT) {
+            var old = time(function() {
+                old_path_construction.single_refinement_step_cache = {};
+                return old_path_construction.possible_paths(start, end, fruit.slice());
+            });
+            var most = Math.max.apply(null, old.result.map(function(path) { return path.length; }));
+            var cached = Object.keys(old_path_construction.single_refinement_step_cache).length;
+            row.push(old.ms.toFixed(2), old.result.length, most - 2, cached);
+        } else {
+            row.push("-", "-", "-", "-");
+        }
+        var best = time(function() {
+            return sandbox.path_construction.best_path(start, end, fruit);
+        });
+        row.push(best.ms.toFixed(2), best.result.length - 2);
+        console.log(row.join("\t"));
+    });
+}
+
+main();
@@ -0,0 +1,88 @@
+// Plays Reach_First and Rare_Fruit_First against SimpleBot on boards where
+// the rarest fruit is on SimpleBot's side, which is where going only for the
+// fruit it gets to first should pay off:
+//
+//   node benchmark_reach.js [games] [first seed] [head start]
+//
+// Both bots start on the same cell, so SimpleBot gets a head start of a few
+// turns (2 unless given) in which our bot passes. It is still asked for its
+// moves so it remembers the board, they are just not played. Only the boards
+// where SimpleBot then is closer to every fruit of the rarest type left are
+// kept, and both strategies play the rest of the game on each of them.
+var Headless = require('./assets/js/headless.js');
+
+var STRATEGIES = ['Reach_First', 'Rare_Fruit_First'];
+var OPPONENT = 'SimpleBot';
+var GAMES = Number(process.argv[2]) || 30;
+var FIRST_SEED = Number(process.argv[3]) || 1;
+var HEAD_START = Number(process.argv[4]) || 2;
+// seeds tried before giving up on finding GAMES boards
+var MAX_SEEDS = 100 * GAMES;
+
+var sandbox = Headless.createSandbox([], {quiet: true});
+var Board = sandbox.Board;
+
+// starts a game on the seed with bot in the first seat and plays the head start
+function setUp(bot, seed) {
+    Headless.configure(sandbox, {seats: [bot, OPPONENT]});
+    Board.init(seed);
+    Board.newGame();
+    for (var turn=0; turn<HEAD_START && !Board.isOver(); turn++) {
+        Board.askForMove(0);
+        Board.processMove([sandbox.PASS, Board.askForMove(1)]);
+    }
+}
+
+// whether the opponent is closer than us to every fruit of the rarest type left
+function rareFruitIsTheirs() {
+    var rarest = -1;
+    for (var i=0; i<Board.numberOfItemTypes; i++) {
+        if (Board.itemsLeft(i) > 0 && !Board.isDecided(i) && (rarest < 0 || Board.totalItems[i] < Board.totalItems[rarest])) {
+            rarest = i;
+        }
+    }
+    if (rarest < 0) {
+        return false;
+    }
+    var mine = sandbox.path_finding.distances(Board.board, Board.positions[0]);
+    var theirs = sandbox.path_finding.distances(Board.board, Board.positions[1]);
+    return Board.board.every(function(column, x) {
+        return column.every(function(type, y) {
+            return type !== rarest + 1 || theirs[x][y] < mine[x][y];
+        });
+    });
+}
+
+function play(bot, seed) {
+    setUp(bot, seed);
+    while (!Board.isOver() && Board.turn < Headless.MAX_TURNS) {
+        Board.processMove();
+    }
+    return Board.result();
+}
+
+function main() {
+    var seeds = [];
+    for (var seed=FIRST_SEED; seeds.length<GAMES && seed<FIRST_SEED + MAX_SEEDS; seed++) {
+        setUp(STRATEGIES[0], seed);
+        if (!Board.isOver() && rareFruitIsTheirs()) {
+            seeds.push(seed);
+        }
+    }
+    console.log(seeds.length + " boards from seeds " + FIRST_SEED + "-" + (seeds[seeds.length - 1] || FIRST_SEED) +
+                " with the rarest fruit on " + OPPONENT + "'s side after a " + HEAD_START + " turn head start");
+    console.log("bot\tgames\twin\tlose\ttie\tcategories won");
+    STRATEGIES.forEach(function(bot) {
+        var outcomes = {win: 0, lose: 0, tie: 0}, won = 0;
+        seeds.forEach(function(seed) {
+            var result = play(bot, seed);
+            outcomes[result.outcome]++;
+            won += result.categoriesWon;
+        });
+        var percent = function(n) { return (100 * n / seeds.length).toFixed(1) + "%"; };
+        console.log([bot, seeds.length, percent(outcomes.win), percent(outcomes.lose), percent(outcomes.tie),
+                     (won / seeds.length).toFixed(2)].join("\t"));
+    });
+}
+
+main();
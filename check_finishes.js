@@ -0,0 +1,36 @@
+// Checks that mybot's strategies play every game to the end, against a bot
+// that never moves and against themselves, where a strategy that waits for
+// the other bot to do something gets stuck:
+//
+//   node check_finishes.js [games] [first seed] [max turns]
+//
+// Prints the games that were stopped at max turns (300 unless given) and
+// exits with 1 if there were any.
+var Headless = require('./assets/js/headless.js');
+
+var STRATEGIES = ['Lookahead_Search', 'Reach_First'];
+var GAMES = Number(process.argv[2]) || 10;
+var FIRST_SEED = Number(process.argv[3]) || 1;
+var MAX_TURNS = Number(process.argv[4]) || 300;
+
+var sandbox = Headless.createSandbox([], {quiet: true});
+
+function main() {
+    var stuck = 0;
+    STRATEGIES.forEach(function(bot) {
+        ['Pass', bot].forEach(function(opponent) {
+            var results = Headless.playBatch(sandbox, {seats: [bot, opponent], games: GAMES,
+                                                       seed: FIRST_SEED, maxTurns: MAX_TURNS});
+            var unfinished = results.filter(function(result) { return !result.finished; });
+            console.log(bot + " vs " + opponent + ": " + (results.length - unfinished.length) + "/" +
+                        results.length + " games finished");
+            unfinished.forEach(function(result) {
+                console.log("    seed " + result.seed + " stopped at turn " + result.turns);
+            });
+            stuck += unfinished.length;
+        });
+    });
+    process.exit(stuck > 0 ? 1 : 0);
+}
+
+main();
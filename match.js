@@ -0,0 +1,252 @@
+// Plays a game between two registered bots from the command line:
+//
+//   node match.js [--seed <seed>] [--bot mybot] [--opponent SimpleBot]
+//                 [--load <file>] [--max-turns <turns>]
+//
+// --opponent can be given up to three times for a game of three or four bots.
+// mybot.js and simplebot.js are always loaded, --load loads another file
+// that registers more bots (it can be given more than once). --replay <file>
+// saves the game as a replay that game.html can load. --end decided stops
+// the game as soon as every fruit type is decided instead of when the board
+// is empty. A bot that throws, returns something that isn't a move or takes
+// longer than --time-limit <ms> passes, or with --on-fault forfeit loses.
+// --width, --height, --types, --distribution, --count, --start and --walls change how
+// boards are generated, see Board.generation. --board <file> plays on a board
+// saved from game.html instead.
+//
+// With --games <n> it plays n boards on consecutive seeds instead and
+// reports aggregate statistics, optionally written out with --json <file>
+// and --csv <file>. --swap plays every board again with the seats swapped
+// (moved round the table with more than two bots) until every bot has sat in
+// every seat, to cancel out any advantage one seat has.
+var fs = require('fs');
+var Headless = require('./assets/js/headless.js');
+var Batch = require('./assets/js/batch.js');
+
+var USAGE = "usage: node match.js [--seed <seed>] [--bot <name>] [--opponent <name>]... [--load <file>]\n" +
+            "                     [--replay <file>] [--end empty|decided] [--max-turns <turns>]\n" +
+            "                     [--on-fault pass|forfeit] [--time-limit <ms>]\n" +
+            "                     [--width <n>[-<n>]] [--height <n>[-<n>]] [--types <n>[-<n>]]\n" +
+            "                     [--distribution increasing|equal|random_odd] [--count <n>]\n" +
+            "                     [--start random|center|corner] [--walls <percent>] [--board <file>]\n" +
+            "                     [--games <n>] [--swap] [--json <file>] [--csv <file>]";
+
+function parseWholeNumber(option, value) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(option + " needs a whole number\n" + USAGE);
+    }
+    return Number(value);
+}
+
+// "7" or "5-15"
+function parseRange(option, value) {
+    var match = /^(\d+)(?:-(\d+))?$/.exec(value);
+    if (!match) {
+        throw new Error(option + " needs a number or a range like 5-15\n" + USAGE);
+    }
+    return [Number(match[1]), Number(match[2] === undefined ? match[1] : match[2])];
+}
+
+function parseArgs(argv) {
+    var options = {seats: ['mybot', 'SimpleBot'], load: [], rules: {}, generation: {}};
+    var opponents = [];
+    for (var i=0; i<argv.length; i++) {
+        if (argv[i] === '--swap') {
+            options.swap = true;
+            continue;
+        }
+        var value = argv[i + 1];
+        if (value === undefined) {
+            throw new Error(argv[i] + " needs a value\n" + USAGE);
+        }
+        switch (argv[i]) {
+            case '--seed':
+                options.seed = parseWholeNumber('--seed', value);
+                break;
+            case '--bot':
+                options.seats[0] = value;
+                break;
+            case '--opponent':
+                opponents.push(value);
+                break;
+            case '--replay':
+                options.replay = value;
+                break;
+            case '--end':
+                if (value !== 'empty' && value !== 'decided') {
+                    throw new Error("--end is either empty or decided\n" + USAGE);
+                }
+                options.rules.end = value;
+                break;
+            case '--on-fault':
+                if (value !== 'pass' && value !== 'forfeit') {
+                    throw new Error("--on-fault is either pass or forfeit\n" + USAGE);
+                }
+                options.rules.onFault = value;
+                break;
+            case '--time-limit':
+                options.rules.moveTimeLimit = parseWholeNumber('--time-limit', value);
+                break;
+            case '--width':
+                options.generation.width = parseRange('--width', value);
+                break;
+            case '--height':
+                options.generation.height = parseRange('--height', value);
+                break;
+            case '--types':
+                options.generation.itemTypes = parseRange('--types', value);
+                break;
+            case '--distribution':
+                options.generation.distribution = value;
+                break;
+            case '--count':
+                options.generation.count = parseWholeNumber('--count', value);
+                break;
+            case '--start':
+                options.generation.start = value;
+                break;
+            case '--walls':
+                options.generation.walls = parseWholeNumber('--walls', value);
+                break;
+            case '--board':
+                options.board = value;
+                break;
+            case '--load':
+                options.load.push(value);
+                break;
+            case '--max-turns':
+                options.maxTurns = parseWholeNumber('--max-turns', value);
+                break;
+            case '--games':
+                options.games = parseWholeNumber('--games', value);
+                break;
+            case '--json':
+                options.json = value;
+                break;
+            case '--csv':
+                options.csv = value;
+                break;
+            default:
+                throw new Error("unknown option " + argv[i] + "\n" + USAGE);
+        }
+        i++;
+    }
+    if (opponents.length > 0) {
+        options.seats = [options.seats[0]].concat(opponents);
+    }
+    return options;
+}
+
+// "mine" and "opponent", or "opponent 1", "opponent 2", ... when there are more
+function seatLabels(seats) {
+    return seats.map(function(name, seat) {
+        if (seat === 0) {
+            return "mine";
+        }
+        return seats.length === 2 ? "opponent" : "opponent " + seat;
+    });
+}
+
+function printResult(result) {
+    console.log(result.seats.join(" vs "));
+    console.log("seed " + result.seed + ", " + result.width + "x" + result.height + " board, " +
+                result.numberOfItemTypes + " fruit types, " + result.turns + " turns");
+    var labels = seatLabels(result.seats);
+    console.log("fruit\t" + labels.join("\t") + "\ttotal\tsplit\twon by\tmargin");
+    result.categories.forEach(function(category) {
+        var counts = category.collected.map(function(n) { return n.toFixed(1); });
+        console.log(category.type + "\t" + counts.join("\t") + "\t" + category.total + "\t" + category.split + "\t" +
+                    (category.winner < 0 ? "tie" : labels[category.winner]) + "\t" + (category.margin > 0 ? "+" : "") + category.margin.toFixed(1));
+    });
+    result.forfeited.forEach(function(seat) {
+        console.log(result.seats[seat] + " forfeited");
+    });
+    if (!result.finished) {
+        console.log("stopped after " + result.turns + " turns before the game was over");
+    }
+    console.log("You " + result.outcome + "!");
+}
+
+function percent(rate) {
+    return (rate * 100).toFixed(1) + "%";
+}
+
+function printStatistics(label, stats) {
+    console.log(label + "\t" + stats.games + "\t" + percent(stats.winRate) + "\t" + percent(stats.lossRate) + "\t" +
+                percent(stats.tieRate) + "\t" + stats.averageTurns.toFixed(1) + "\t" +
+                stats.averageCategoriesWon.toFixed(2));
+}
+
+function printSummary(summary) {
+    console.log(summary.seats.join(" vs "));
+    console.log("\tgames\twin\tlose\ttie\tturns\tcategories won");
+    printStatistics("all", summary.all);
+    console.log("by board size");
+    for (var size in summary.byBoardSize) {
+        printStatistics(size, summary.byBoardSize[size]);
+    }
+    console.log("by fruit types");
+    for (var types in summary.byItemTypes) {
+        printStatistics(types, summary.byItemTypes[types]);
+    }
+    if (summary.all.unfinished > 0) {
+        console.log(summary.all.unfinished + " games stopped before they were over");
+    }
+    var opponents = summary.seats.length === 2 ? summary.seats[1] : "the opponents";
+    [[summary.seats[0], summary.all.faults, summary.all.forfeits],
+     [opponents, summary.all.opponentFaults, summary.all.opponentForfeits]].forEach(function(row) {
+        if (row[1] > 0) {
+            console.log(row[0] + " faulted " + row[1] + " times and forfeited " + row[2] + " games");
+        }
+    });
+}
+
+function runBatch(sandbox, options) {
+    var results = Headless.playBatch(sandbox, options);
+    var summary = Batch.summarize(results);
+    printSummary(summary);
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify({summary: summary, games: results}, null, 2) + "\n");
+    }
+    if (options.csv) {
+        fs.writeFileSync(options.csv, Batch.toCsv(summary));
+    }
+}
+
+function main() {
+    var options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(2);
+    }
+    var batch = options.games !== undefined || options.swap || options.json || options.csv;
+    var sandbox = Headless.createSandbox(options.load, {quiet: batch});
+    if (options.board) {
+        try {
+            options.layout = JSON.parse(fs.readFileSync(options.board, 'utf8'));
+            sandbox.Board.loadLayout(options.layout);
+        } catch (e) {
+            console.error("Could not load " + options.board + ": " + e.message);
+            process.exit(2);
+        }
+    }
+    try {
+        Headless.configure(sandbox, options);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(2);
+    }
+    if (batch) {
+        options.games = options.games === undefined ? 1 : options.games;
+        runBatch(sandbox, options);
+    } else {
+        printResult(Headless.playGame(sandbox, options));
+        if (options.replay) {
+            fs.writeFileSync(options.replay, JSON.stringify(sandbox.Board.getReplay()) + "\n");
+        }
+    }
+}
+
+main();
@@ -83,160 +83,166 @@ var coordinate_functions = {
 };
 
 /**
- * Serves as the namespace for functions that do something with paths
- * from one endpoint to another.
+ * Serves as a namespace for functions that find real paths around walls.
+ * Without walls the distances are the same as the manhattan metric. The
+ * real game server has no walls and no is_wall, so there every cell is open.
  * @type {Object}
  */
-var path_construction = {
+var path_finding = {
   /**
-   * Merges two objects by destructively updating the first one
-   * with keys and values from the second one.
-   * @param a The first object that will be updated.
-   * @param b The object that will be merged into the first one.
+   * @param board Column major grid that contains cells with fruits.
+   * @param loc The cell we want to know about.
+   * @return {Boolean} Whether the cell is on the board and isn't a wall.
    */
-  merge : function (a, b) {
-    for (var k in b) {
-      a[k] = b[k];
+  is_open : function (board, loc) {
+    if (loc[0] < 0 || loc[1] < 0 || loc[0] >= board.length || loc[1] >= board[0].length) {
+      return false;
     }
+    return typeof is_wall !== 'function' || !is_wall(loc[0], loc[1]);
   },
   /**
-   * Takes an already constructed partial path and a reachability graph
-   * and tries to extend the path forward. If extension is not possible
-   * the original path is returned wrapped in an array.
-   * @param partial_path The path we want to extend.
-   * @param path_graph The reachability graph that serves as a constraint
-   * on how a partial path can be extended.
-   * @return {*}
+   * Breadth first search outwards from a location.
+   * @param board Column major grid that contains cells with fruits.
+   * @param from Where the search starts.
+   * @return {Array} Column major grid of the number of steps it takes to get
+   * from the starting location to each cell, Infinity for cells that can't be reached.
    */
-  extend_partial_path : function (partial_path, path_graph) {
-    var possible_extensions = path_graph[partial_path[partial_path.length - 1]];
-    if (!possible_extensions) {
-      return [partial_path];
-    }
-    return possible_extensions.map(function (node) {
-      return partial_path.concat([node]);
+  distances : function (board, from) {
+    var distances = board.map(function (column) {
+      return column.map(function () { return Infinity; });
     });
-  },
-  /**
-   * Given a set of partial paths and a reachability graph that serves as a constraint
-   * for path extension we return the set of all possible extensions of the initial
-   * set of partial paths.
-   * @param partial_paths The partial paths that serve as seeds for extension.
-   * @param path_graph The reachability graph that serves as a set of constraints
-   * for path extension.
-   * @return {Array}
-   */
-  extract_paths : function (partial_paths, path_graph) {
-    var need_extension = [], done = [];
-    /* see if we were able to extend anything and buffer those for potential re-extension.
-    save everything else as done. */
-    partial_paths.forEach(function (partial_path) {
-      var extensions = this.extend_partial_path(partial_path, path_graph);
-      if (extensions[0].length === partial_path.length) {
-        done.push(partial_path);
-      } else {
-        extensions.forEach(function (extension) {
-          need_extension.push(extension);
-        });
-      }
-    }, this);
-    /* base case */
-    if (need_extension.length === 0) {
-      return done;
+    var queue = [from];
+    distances[from[0]][from[1]] = 0;
+    for (var next = 0; next < queue.length; next++) {
+      var loc = queue[next];
+      this.neighbours(loc).forEach(function (neighbour) {
+        if (this.is_open(board, neighbour) && distances[neighbour[0]][neighbour[1]] === Infinity) {
+          distances[neighbour[0]][neighbour[1]] = distances[loc[0]][loc[1]] + 1;
+          queue.push(neighbour);
+        }
+      }, this);
     }
-    /* recursive case */
-    return done.concat(this.extract_paths(need_extension, path_graph));
+    return distances;
   },
   /**
-   * Given a start and end points along with nodes we want to pass through
-   * we construct the paths that only pass through those nodes and no more.
-   * @param start The initial point for the set of paths we want to construct.
-   * @param end The terminal point for the set of paths.
-   * @param nodes The set of points we want our paths to go through. The assumption
-   * is that these nodes are contained in the box defined by the start and end points.
-   * This array should contain all accessible nodes except the starting point. Accessible
-   * means that the end point should be included in this array.
-   * @returns {Array} The set of paths given as a set of ordered points.
-   */
-  construct_restricted_paths : function(start, end, nodes) {
-    /* if nodes does not include the end point then we need to add it */
-    if (!nodes.some(function (node) { return node[0] === end[0] && node[1] === end[1]; })) {
-      nodes.push(end);
-    }
-    /* construct a partial reachability graph and refine it until we have the reachability graph */
-    var initial_graph = {}; initial_graph[start] = nodes;
-    var refined_data = this.single_refinement_step(end, nodes);
-    var refined_graph = refined_data.graph;
-    var need_further_refinement = Object.keys(refined_graph);
-    /* base case */
-    if (need_further_refinement.length === 0) {
-      return initial_graph;
-    }
-    /* recursive case */
-    initial_graph[start] = refined_data.filtered_nodes;
-    need_further_refinement.map(function (node) {
-      return this.construct_restricted_paths(node, end, refined_graph[node]);
-    }, this).forEach(function (graph) { this.merge(initial_graph, graph); }, this);
-    return initial_graph;
+   * The cells next to a location in the order EAST, WEST, SOUTH, NORTH.
+   * @param loc The location in the middle.
+   * @return {Array} The four neighbouring locations, some of them may be off the board.
+   */
+  neighbours : function (loc) {
+    return [[loc[0] + 1, loc[1]], [loc[0] - 1, loc[1]], [loc[0], loc[1] + 1], [loc[0], loc[1] - 1]];
   },
   /**
-   * Given a starting node and an ending node and a set of nodes that paths need to pass
-   * through this function returns the set of all possible paths that satisfy those
-   * constraints.
-   * @param start Our starting point.
-   * @param end Our destination.
-   * @param nodes The set of nodes we want to pass through if possible.
-   * @return {Array}
-   */
-  possible_paths : function (start, end, nodes) {
-    /* extract the reachability graph */
-    var reachability_graph = this.construct_restricted_paths(start, end, nodes);
-    return this.extract_paths([[start]], reachability_graph);
-  },
+   * The first move along a shortest path from one location to another. Like
+   * moving on an open board it goes east or west before it goes north or south.
+   * @param board Column major grid that contains cells with fruits.
+   * @param from Where we are.
+   * @param to Where we want to get to.
+   * @return {*} One of the move constants, or undefined if we are already there
+   * or can't get there at all.
+   */
+  first_step : function (board, from, to) {
+    var distances = this.distances(board, to), moves = [EAST, WEST, SOUTH, NORTH];
+    var here = distances[from[0]][from[1]];
+    if (here === Infinity) {
+      return;
+    }
+    var neighbours = this.neighbours(from);
+    for (var i = 0; i < neighbours.length; i++) {
+      if (this.is_open(board, neighbours[i]) && distances[neighbours[i][0]][neighbours[i][1]] === here - 1) {
+        return moves[i];
+      }
+    }
+  }
+};
+
+/**
+ * Serves as the namespace for functions that do something with paths
+ * from one endpoint to another.
+ * @type {Object}
+ */
+var path_construction = {
   /**
-   * Given a partially constructed set of data that serves as a proxy for
-   * a reachability graph we perform a single refinement step to increase
-   * the granularity of the reachability graph by splitting the set of
-   * reachable nodes into two sets if possible.
-   * @param end Our destination node.
-   * @param reachable_nodes A set of partially constructed reachable nodes.
-   * @return {*}
+   * Whether a node is on a shortest path from one location to another,
+   * i.e. going through it is no detour.
+   * @param from Where the path starts.
+   * @param node The node in question.
+   * @param to Where the path ends.
+   * @param metric Optional distance function like walking_metric returns, the
+   * manhattan metric without it.
+   * @return {Boolean}
    */
-  single_refinement_step : function(end, reachable_nodes) {
-    var cache_hit;
-    //noinspection AssignmentResultUsedJS
-    if (cache_hit = this.single_refinement_step_cache[[end, reachable_nodes]]) {
-      return cache_hit;
-    }
-    var refinement = this.refine(end, reachable_nodes);
-    var reachable_in_two_steps = refinement.reachable_in_two_steps;
-    var filtered_nodes = reachable_nodes.filter(function (node) { return !reachable_in_two_steps[node]; });
-    var refined_data = {filtered_nodes : filtered_nodes, graph : refinement.refined_graph};
-    return this.single_refinement_step_cache[[end, reachable_nodes]] = refined_data;
+  is_between : function (from, node, to, metric) {
+    metric = metric || coordinate_functions.manhattan_metric;
+    /* measured from the ends, walking distances are the same both ways and the ends are where we have them */
+    var distance = metric(from, to);
+    return distance !== Infinity && metric(from, node) + metric(to, node) === distance;
   },
   /**
-   * Keeps refining the set of nodes until everything is reachable in one step.
-   * @param end Where we want to end up.
-   * @param nodes The initial set of nodes we want to pass through.
-   * @return {Object}
-   */
-  refine : function (end, nodes) {
-    var reachable_nodes = {}, accumulator = {};
-    nodes.forEach(function (node) {
-      var box_coords = coordinate_functions.box_coordinates_from_endpoints(node, end);
-      var filter = function (n) { return n[0] !== node[0] || n[1] !== node[1]; };
-      var refined_nodes = coordinate_functions.nodes_in_box(box_coords, nodes, filter);
-      if (refined_nodes.length > 0) {
-        refined_nodes.forEach(function (node) { reachable_nodes[node] = true; });
-        accumulator[node] = refined_nodes;
-      }
-    });
-    return {reachable_in_two_steps : reachable_nodes, refined_graph : accumulator};
+   * A distance function for a board that walks round its walls. Going round a
+   * wall can leave the box between two points, so the manhattan metric can't
+   * tell what is on the way with walls about.
+   * @param board Column major grid that contains cells with fruits, without
+   * it the distances are the manhattan metric.
+   * @return {Function} The distance from one location to another. The distances
+   * from a location are worked out the first time they are needed and kept.
+   */
+  walking_metric : function (board) {
+    if (!board) {
+      return coordinate_functions.manhattan_metric;
+    }
+    var distances = {};
+    return function (from, to) {
+      distances[from] = distances[from] || path_finding.distances(board, from);
+      return distances[from][to[0]][to[1]];
+    };
   },
   /**
-   * Caches computations of refinement.
+   * Finds the shortest path from start to end that goes through the nodes worth
+   * the most. A node comes after another on the path when it is between that one
+   * and the end, so the nodes form a graph without cycles and the best path to
+   * every node follows from the best paths to the nodes before it, which takes
+   * time quadratic and memory linear in the number of nodes.
+   * @param start Our starting point.
+   * @param end Our destination, it ends the path whether or not it is one of the nodes.
+   * @param nodes The nodes we want to pass through, the ones that aren't between
+   * start and end are left out.
+   * @param value Optional function that says what a node is worth, every node is
+   * worth 1 without it.
+   * @param board Optional column major grid the path is on, distances walk round
+   * its walls (see walking_metric). Without it they are the manhattan metric,
+   * which is the same on a board without walls.
+   * @return {Array} The path as a list of points, from start through the chosen
+   * nodes to end, the way Planner follows them.
    */
-  single_refinement_step_cache : {}
+  best_path : function (start, end, nodes, value, board) {
+    value = value || function () { return 1; };
+    var same = function (a, b) { return a[0] === b[0] && a[1] === b[1]; };
+    var metric = this.walking_metric(board);
+    /* the nodes on the way in the order we can get to them, with the end last */
+    var steps = nodes.filter(function (node) {
+      return !same(node, start) && !same(node, end) && this.is_between(start, node, end, metric);
+    }, this).sort(function (a, b) { return metric(start, a) - metric(start, b); });
+    steps.push(end);
+    /* best[i] is what the best path from start to steps[i] collects, from[i] the step before it (-1 for start) */
+    var best = [], from = [];
+    steps.forEach(function (node, i) {
+      best[i] = 0;
+      from[i] = -1;
+      for (var j = 0; j < i; j++) {
+        if (best[j] > best[i] && this.is_between(steps[j], node, end, metric)) {
+          best[i] = best[j];
+          from[i] = j;
+        }
+      }
+      best[i] += value(node);
+    }, this);
+    var path = [];
+    for (var i = steps.length - 1; i >= 0; i = from[i]) {
+      path.unshift(steps[i]);
+    }
+    return [start].concat(path);
+  }
 };
 
 /**
@@ -306,22 +312,13 @@ var common_strategy_methods = {
    * The game has a predefined set of constants for directional movement.
    * So given where we want to move and some other location this function
    * returns one of the direction specifiers that will get us closer to
-   * the desired location.
+   * the desired location, going around walls.
    * @param move_location Where we want to move.
    * @param my_location Where we want to move from.
    * @return {*}
    */
   calculate_move_direction : function (move_location, my_location) {
-    // figure out if we need to move left or right
-    var x_delta = move_location[0] - my_location[0];
-    if (x_delta !== 0) {
-      return x_delta > 0 ? EAST : WEST;
-    }
-    // figure out if we need to move left or right
-    var y_delta = move_location[1] - my_location[1];
-    if (y_delta !== 0) {
-      return y_delta > 0 ? SOUTH : NORTH;
-    }
+    return path_finding.first_step(get_board(), my_location, move_location);
   },
   /**
    * Convenience function for updating fruit locations. This
@@ -337,6 +334,101 @@ var common_strategy_methods = {
       this.update_fruits(board);
     }
   },
+  /**
+   * Where the opponents are. On the real game server there is only the one.
+   * @return {Array} The [x, y] location of every opponent.
+   */
+  opponent_locations : function () {
+    if (typeof get_opponents !== 'function') {
+      return [[get_opponent_x(), get_opponent_y()]];
+    }
+    return get_opponents().map(function (player) { return [get_player_x(player), get_player_y(player)]; });
+  },
+  /**
+   * How many fruits of a type the opponent with the most of them has.
+   * @param fruit The fruit type.
+   * @return {Number}
+   */
+  opponent_item_count : function (fruit) {
+    if (typeof get_opponents !== 'function') {
+      return get_opponent_item_count(fruit);
+    }
+    return Math.max.apply(null, get_opponents().map(function (player) {
+      return get_player_item_count(player, fruit);
+    }));
+  },
+  /**
+   * A fruit type is locked once one of us has more of it than the other can
+   * get to with all the fruit left, like when one of us has more than half of
+   * it. Exactly half isn't enough, the other can still draw level. Either way
+   * there is nothing to gain by chasing a locked type.
+   * @param fruit The fruit type.
+   * @return {Boolean}
+   */
+  is_locked : function (fruit) {
+    var mine = get_my_item_count(fruit), theirs = this.opponent_item_count(fruit);
+    var left = (this.fruit_stash[fruit] || []).length;
+    return mine > theirs + left || theirs > mine + left;
+  },
+  /**
+   * Works out who gets to each fruit left on the board first, like a Voronoi
+   * diagram of the board. We can go straight for any fruit, but an opponent is
+   * assumed to collect fruit the way SimpleBot does, so it only gets to a fruit
+   * once it has taken the closer ones on its way, see greedy_arrivals.
+   * @param board Column major grid that contains cells with fruits.
+   * @return {Array} For every fruit an object with its "loc", "fruit" type, our
+   * distance to it as "mine", when the first opponent gets there as "theirs", and
+   * "share", 1 if we get there first, 0.5 if we get there at the same time and 0 otherwise.
+   */
+  ownership_map : function (board) {
+    var my_distances = path_finding.distances(board, [get_my_x(), get_my_y()]);
+    var their_arrivals = this.opponent_locations().map(function (loc) {
+      return this.greedy_arrivals(board, loc);
+    }, this);
+    var fruit_stash = this.fruit_stash, ownership = [];
+    fruit_stash.fruits.forEach(function (fruit) {
+      fruit_stash[fruit].forEach(function (loc) {
+        var mine = my_distances[loc[0]][loc[1]];
+        var theirs = Math.min.apply(null, their_arrivals.map(function (arrivals) {
+          return arrivals.hasOwnProperty(loc) ? arrivals[loc] : Infinity;
+        }));
+        var share = mine < theirs ? 1 : (mine === theirs && mine !== Infinity ? 0.5 : 0);
+        ownership.push({loc : loc, fruit : fruit, mine : mine, theirs : theirs, share : share});
+      });
+    });
+    return ownership;
+  },
+  /**
+   * When a bot that always walks to the closest fruit left and takes it, like
+   * SimpleBot, gets to each fruit.
+   * @param board Column major grid that contains cells with fruits.
+   * @param loc Where the bot is.
+   * @return {Object} How many turns from now the bot gets to each fruit it can
+   * reach, by location.
+   */
+  greedy_arrivals : function (board, loc) {
+    var fruit_stash = this.fruit_stash, left = [], arrivals = {}, turns = 0;
+    fruit_stash.fruits.forEach(function (fruit) {
+      left = left.concat(fruit_stash[fruit]);
+    });
+    while (left.length > 0) {
+      var distances = path_finding.distances(board, loc), closest = 0;
+      left.forEach(function (fruit_loc, i) {
+        if (distances[fruit_loc[0]][fruit_loc[1]] < distances[left[closest][0]][left[closest][1]]) {
+          closest = i;
+        }
+      });
+      var distance = distances[left[closest][0]][left[closest][1]];
+      if (distance === Infinity) {
+        break;
+      }
+      loc = left.splice(closest, 1)[0];
+      arrivals[loc] = turns + distance;
+      /* the turn it takes the fruit */
+      turns += distance + 1;
+    }
+    return arrivals;
+  },
   /**
    * Finds the closest fruit to a given location. Will throw
    * an exception or return null if fruit_stash and fruit_stash.fruits
@@ -348,9 +440,10 @@ var common_strategy_methods = {
    */
   find_closest_fruit : function (loc) {
     var closest_fruit = null, closest_distance = Infinity, fruit_stash = this.fruit_stash;
+    var distances = path_finding.distances(get_board(), loc);
     fruit_stash.fruits.forEach(function (fruit) {
       fruit_stash[fruit].forEach(function (fruit_loc) {
-        var distance = coordinate_functions.manhattan_metric(loc, fruit_loc);
+        var distance = distances[fruit_loc[0]][fruit_loc[1]];
         if (distance <= closest_distance) {
           closest_distance = distance;
           closest_fruit = fruit_loc;
@@ -361,6 +454,203 @@ var common_strategy_methods = {
   }
 };
 
+/**
+ * Serves as the namespace for functions that look a few turns ahead by
+ * playing our moves out against the opponent's on copies of the game.
+ * @type {Object}
+ */
+var lookahead = {
+  /**
+   * How many milliseconds a search may take before it settles for the deepest
+   * search it finished.
+   */
+  time_budget : 150,
+  /**
+   * How much of the time limit on a move a search may take when there is one.
+   * The rest is left for everything else the move does and for pauses of the
+   * garbage collector, which can take longer than the search itself.
+   */
+  time_limit_share : 0.25,
+  /**
+   * How many turns ahead a search looks at most, however much time is left.
+   */
+  max_depth : 8,
+  /**
+   * How much a change in the evaluation counts compared to the same change a
+   * turn earlier.
+   */
+  discount : 0.9,
+  /**
+   * What a fruit on the board that we get to first counts compared to one we
+   * have, before it counts less for being further away.
+   */
+  nearby : 0.5,
+  /**
+   * What every fruit we have is worth on top of the fruit types, so that with
+   * nothing left to win or lose we still go for fruit and the board empties.
+   */
+  fruit_bonus : 0.01,
+  /**
+   * When a search that starts now has to stop.
+   * @return {Number} The time in milliseconds, like Date.now().
+   */
+  deadline : function () {
+    var budget = lookahead.time_budget;
+    var limit = typeof get_move_time_limit === 'function' ? get_move_time_limit() : 0;
+    if (limit > 0) {
+      budget = Math.min(budget, limit * lookahead.time_limit_share);
+    }
+    return Date.now() + budget;
+  },
+  /**
+   * The game as it is now in a form we can clone and play moves on. Outside the
+   * real game server get_game_state gives us that, the server doesn't have it
+   * so there we model the two player game ourselves.
+   * @return {Object} An object with the fields and methods of a GameState
+   * (see assets/js/gamestate.js) that the search uses.
+   */
+  current_state : function () {
+    if (typeof get_game_state === 'function') {
+      return get_game_state();
+    }
+    var collected = [[], []], total_items = [];
+    for (var type = 1; type <= get_number_of_item_types(); type++) {
+      collected[0].push(get_my_item_count(type));
+      collected[1].push(get_opponent_item_count(type));
+      total_items.push(get_total_item_count(type));
+    }
+    return new Modelled_Game({
+      board : get_board().map(function (column) { return column.slice(); }),
+      positions : [[get_my_x(), get_my_y()], [get_opponent_x(), get_opponent_y()]],
+      collected : collected,
+      numberOfItemTypes : total_items.length,
+      totalItems : total_items
+    });
+  },
+  /**
+   * Our seat and the opponent's in the state from current_state.
+   * @return {Object} An object with "me" and "opponent" properties.
+   */
+  seats : function () {
+    if (typeof get_game_state !== 'function') {
+      return {me : 0, opponent : 1};
+    }
+    /* we are the one seat that isn't an opponent and our opponent is the next seat round */
+    var opponents = get_opponents(), me = 0;
+    while (opponents.indexOf(me) >= 0) {
+      me++;
+    }
+    return {me : me, opponent : (me + 1) % (opponents.length + 1)};
+  },
+  /**
+   * Somewhere to keep how far it is from every cell to every other cell. It
+   * starts out empty since working all of it out at once can take longer than
+   * a move may, see distances_from.
+   * @param board Column major grid that contains cells with fruits.
+   * @return {Array} A grid of nulls the size of the board.
+   */
+  distance_table : function (board) {
+    return board.map(function (column) {
+      return column.map(function () { return null; });
+    });
+  },
+  /**
+   * How far it is from a cell to every other cell, walking round walls. Worked
+   * out the first time it is needed and kept in the table after that.
+   * @param table A distance table, see distance_table.
+   * @param board Column major grid that contains cells with fruits.
+   * @param loc The cell to measure from.
+   * @return {Array} What path_finding.distances returns for the cell.
+   */
+  distances_from : function (table, board, loc) {
+    if (!table[loc[0]][loc[1]]) {
+      table[loc[0]][loc[1]] = path_finding.distances(board, loc);
+    }
+    return table[loc[0]][loc[1]];
+  },
+  /**
+   * The moves worth searching for a seat, the ones that change something.
+   * Taking the fruit we stand on comes first since it is usually best and
+   * the search keeps the first of equally good moves.
+   * @param state The state to move in.
+   * @param seat Whose moves they are.
+   * @return {Array} Move constants.
+   */
+  moves_for : function (state, seat) {
+    var moves = state.legalMoves(seat).filter(function (move) { return move !== PASS; });
+    if (moves.indexOf(TAKE) >= 0) {
+      moves = [TAKE].concat(moves.filter(function (move) { return move !== TAKE; }));
+    }
+    return moves.length > 0 ? moves : [PASS];
+  },
+  /**
+   * Scores a state for us by fruit type majorities. A decided type counts +1
+   * if we win it and -1 if we lose it. For the others every fruit left pulls
+   * towards whoever is close to it, up to lookahead.nearby of a fruit we have
+   * and less the further away it is, and our lead plus how much harder the
+   * fruit pulls towards us is squashed into -1 to 1. The pull changes a little
+   * with every step instead of all at once when someone gets closer, so a step
+   * is never worth as much as taking a fruit. Every fruit we have adds
+   * lookahead.fruit_bonus, and every fruit on the board a part of it that
+   * shrinks with how far away it is.
+   * @param state The state to score.
+   * @param me Our seat.
+   * @param distances A distance table for the board, see distance_table.
+   * @return {Number} Around how many more fruit types we will win than the best opponent.
+   */
+  evaluate : function (state, me, distances) {
+    /* plain loops, this runs for every state the search looks at and anything it
+    allocates brings the garbage collector, and a pause, closer */
+    var types = state.numberOfItemTypes, seats = state.positions.length;
+    var expected = [], left = [], ours = state.collected[me], theirs = [], their_distances = [];
+    for (var i = 0; i < types; i++) {
+      var most = -Infinity;
+      for (var seat = 0; seat < seats; seat++) {
+        if (seat !== me) {
+          most = Math.max(most, state.collected[seat][i]);
+        }
+      }
+      theirs.push(most);
+      expected.push(0);
+      left.push(0);
+    }
+    var my_distances = lookahead.distances_from(distances, state.board, state.positions[me]);
+    for (var seat = 0; seat < seats; seat++) {
+      if (seat !== me) {
+        their_distances.push(lookahead.distances_from(distances, state.board, state.positions[seat]));
+      }
+    }
+    var value = 0;
+    for (var x = 0; x < state.board.length; x++) {
+      var column = state.board[x];
+      for (var y = 0; y < column.length; y++) {
+        var type = column[y];
+        if (type <= 0) {
+          continue;
+        }
+        var my_distance = my_distances[x][y], their_distance = Infinity;
+        for (var k = 0; k < their_distances.length; k++) {
+          their_distance = Math.min(their_distance, their_distances[k][x][y]);
+        }
+        left[type - 1]++;
+        var my_pull = lookahead.nearby * Math.pow(0.95, my_distance + 1);
+        value += lookahead.fruit_bonus * my_pull;
+        expected[type - 1] += my_pull - lookahead.nearby * Math.pow(0.95, their_distance + 1);
+      }
+    }
+    for (var i = 0; i < types; i++) {
+      value += lookahead.fruit_bonus * ours[i];
+      var lead = ours[i] - theirs[i];
+      if (left[i] === 0 || Math.abs(lead) > left[i]) {
+        value += lead > 0 ? 1 : (lead < 0 ? -1 : 0);
+      } else {
+        value += Math.tanh(lead + expected[i]);
+      }
+    }
+    return value;
+  }
+};
+
 /**
  * Initializes strategy instances given a constructor that creates
  * an object instance that conforms to the game API.
@@ -395,22 +685,47 @@ function Planner(path) {
 }
 function Rare_Fruit_First() {
   this.planner = new Planner([]);
-  /* given a starting and ending point we use the methods in path_construction to
-  construct a list of possible paths from start to end.
+  /* given a starting and ending point we use path_construction to find the
+  path from start to end through the fruit worth the most. best_path leaves out
+  the fruit that isn't on a shortest way round the walls from start to end.
   */
-  this.get_paths = function (start, end) {
-    /* find all the fruits that are in the box defined by start and end */
-    var box_coords = coordinate_functions.box_coordinates_from_endpoints(start, end);
+  this.get_path = function (start, end) {
+    this.searched = [start, end];
     var fruit_stash = this.fruit_stash;
     var all_fruit_locations = fruit_stash.fruits.reduce(function (acc, fruit) {
       return acc.concat(fruit_stash[fruit]);
     }, []);
-    var filter = function (loc) { return loc[0] !== start[0] || loc[1] !== start[1]; };
-    var fruits_in_box = coordinate_functions.nodes_in_box(box_coords, all_fruit_locations, filter);
-    /* construct path graph */
-    return path_construction.possible_paths(start, end, fruits_in_box);
+    var strategy = this;
+    return path_construction.best_path(start, end, all_fruit_locations, function (node) {
+      return strategy.fruit_value(strategy.node_to_fruit_mapping[node]);
+    }, get_board());
   };
   this.make_move = function (board) {
+    var move = this.choose_move(board);
+    this.show_plan();
+    return move;
+  };
+  /* draws the cells on a shortest way from where we last searched for paths to where
+  they went, and the rest of the path we are following, when the viewer's debug
+  functions are there, the game server doesn't have them */
+  this.show_plan = function () {
+    if (typeof debug_path !== 'function' || this.planner.path.length === 0) {
+      return;
+    }
+    var start = this.searched[0], end = this.searched[1], board = get_board();
+    var metric = path_construction.walking_metric(board);
+    board.forEach(function (column, x) {
+      column.forEach(function (type, y) {
+        if (path_construction.is_between(start, [x, y], end, metric)) {
+          debug_highlight(x, y);
+        }
+      });
+    });
+    debug_path([[get_my_x(), get_my_y()]].concat(this.planner.path));
+    var target = this.planner.path[this.planner.path.length - 1];
+    debug_label(target[0], target[1], "target " + this.path_score.toFixed(2));
+  };
+  this.choose_move = function (board) {
     /* update fruit list and fruit locations */
     this.init_or_update_fruit_locations(board);
     var my_position = [get_my_x(), get_my_y()];
@@ -429,42 +744,423 @@ function Rare_Fruit_First() {
     var rare_fruit = this.fruit_stash.fruits.reduce(function (low_win_fruit, fruit) {
       return win_counts[low_win_fruit] <= win_counts[fruit] ? low_win_fruit : fruit;
     });
-    /* get our current position and for the rare fruit we just found find the location closest to us */
-    var rare_fruit_closest_loc = this.fruit_stash[rare_fruit].reduce(function (closest, loc) {
-      var closest_distance = coordinate_functions.manhattan_metric(my_position, closest);
-      var new_distance = coordinate_functions.manhattan_metric(my_position, loc);
-      return new_distance <= closest_distance ? loc : closest;
+    /* find the best path to every location of the rare fruit and score them. they are
+    kept with their scores in path_scores for debugging, closest first, and we follow
+    the one worth the most for the turns it takes, walking and taking the fruit on it */
+    var distances = path_finding.distances(board, my_position);
+    this.path_scores = this.fruit_stash[rare_fruit].filter(function (loc) {
+      return distances[loc[0]][loc[1]] !== Infinity;
+    }).sort(function (a, b) {
+      return distances[a[0]][a[1]] - distances[b[0]][b[1]];
+    }).map(function (loc) {
+      var path = this.get_path(my_position, loc);
+      return {path : path, score : this.score_path(path), turns : distances[loc[0]][loc[1]] + path.length - 1};
+    }, this);
+    if (this.path_scores.length === 0) {
+      return PASS;
+    }
+    var chosen = this.path_scores.reduce(function (best, scored) {
+      return scored.score / scored.turns > best.score / best.turns ? scored : best;
     });
-    /* find all restricted paths to that location */
-    var paths = this.get_paths(my_position, rare_fruit_closest_loc);
-    /* pick the best path out of those */
-    var best_path = this.pick_best_path(paths);
-    this.planner.path = best_path;
+    this.planner.path = chosen.path;
+    this.path_score = chosen.score;
     return this.planner.next_move(board, my_position[0], my_position[1]);
   };
-  this.pick_best_path = function (paths) {
-    var fruits = this.fruit_stash.fruits;
-    /* turn each path into a hash map where we have fruit -> fruit count */
-    paths.map(function (path) {
-      /* initialize the fruit count for this path */
-      var fruit_count = {};
-      this.fruit_stash.fruits.forEach(function (fruit) { fruit_count[fruit] = 0; });
-      /* count the fruits on the path */
-      path.forEach(function (node) {
-        fruit_count[this.node_to_fruit_mapping[node]] += 1;
-      }, this);
-      return [path, fruit_count];
-    }, this).sort(function (p1, p2) {
-        var scores = fruits.map(function (fruit) { return p2[1][fruit] - p1[1][fruit]; });
-        if (scores.some(function (order) { return order <= 0; })) {
-          return -1;
+  /* what a fruit on our path is worth: how much more likely taking it makes us to
+  win its type. nothing once the type is decided either way, and the most for
+  rare types and close races */
+  this.fruit_value = function (fruit) {
+    return this.type_value(fruit, 1);
+  };
+  /* how much more likely taking count more fruit of a type makes us to win it */
+  this.type_value = function (fruit, count) {
+    var mine = get_my_item_count(fruit), theirs = this.opponent_item_count(fruit);
+    var left = (this.fruit_stash[fruit] || []).length;
+    count = Math.min(count, left);
+    if (count === 0) {
+      return 0;
+    }
+    return this.win_chance(fruit, mine + count, theirs, left - count) - this.win_chance(fruit, mine, theirs, left);
+  };
+  /* how likely we are to win a type, 1 for getting to its win count, 0 for the
+  opponent getting there and 0.5 for a tie, if every fruit left of it is as likely
+  to go to us as to the opponent */
+  this.win_chance = function (fruit, mine, theirs, left) {
+    var needed = this.win_counts[fruit], chance = 0, ways = 1;
+    for (var ours = 0; ours <= left; ours++) {
+      var won = mine + ours >= needed ? 1 : (theirs + left - ours >= needed ? 0 : 0.5);
+      chance += ways * won;
+      /* the number of ways to get ours + 1 of the left fruit */
+      ways = ways * (left - ours) / (ours + 1);
+    }
+    return chance / Math.pow(2, left);
+  };
+  /* the worth of all the fruit still on a path, counted per type since the second
+  fruit of a type isn't worth what the first one is: a race we are behind in can
+  take two to turn round, and a type we win with one is decided after it */
+  this.score_path = function (path) {
+    var board = get_board(), counts = {}, counted = {}, score = 0;
+    path.forEach(function (node) {
+      var fruit = this.node_to_fruit_mapping[node];
+      /* a path that starts on its end has the node twice */
+      if (fruit && board[node[0]][node[1]] > 0 && !counted[node]) {
+        counted[node] = true;
+        counts[fruit] = (counts[fruit] || 0) + 1;
+      }
+    }, this);
+    Object.keys(counts).forEach(function (fruit) {
+      score += this.type_value(Number(fruit), counts[fruit]);
+    }, this);
+    return score;
+  };
+}
+
+/**
+ * Goes for the fruit it gets to before the opponent does, expecting the
+ * opponent to go for the closest fruit every time (see
+ * common_strategy_methods.ownership_map). It only chases fruit it reaches
+ * first or at the same time as the opponent, in fruit types that aren't
+ * locked yet. Of those it plays the rest of the game out for the most
+ * promising few, rare types where the race is close first, and goes for the
+ * one that wins the most fruit types. Once nothing is worth contesting it
+ * clears the board, closest fruit first.
+ */
+function Reach_First() {
+  this.target = null;
+  this.distances = null;
+  /**
+   * How many of the fruit we could go for are played out every turn.
+   */
+  this.play_out_candidates = 6;
+  this.make_move = function (board) {
+    this.init_or_update_fruit_locations(board);
+    if (!this.distances) {
+      this.distances = lookahead.distance_table(board);
+    }
+    var my_position = [get_my_x(), get_my_y()];
+    var fruit_here = board[my_position[0]][my_position[1]];
+    var ownership = this.ownership_map(board);
+    var contested = ownership.filter(function (owned) {
+      return !this.is_locked(owned.fruit) && owned.mine !== Infinity;
+    }, this);
+    /* with nothing left worth contesting we clear the board, which ends the game */
+    if (fruit_here > 0 && (!this.is_locked(fruit_here) || contested.length === 0)) {
+      return TAKE;
+    }
+    this.target = this.keep_target(board, contested);
+    if (!this.target && contested.length === 0) {
+      this.target = this.closest(ownership);
+    } else if (!this.target) {
+      this.target = this.best_play_out(this.rank_targets(contested).slice(0, this.play_out_candidates)) ||
+        this.closest(contested);
+    }
+    if (!this.target) {
+      return PASS;
+    }
+    return this.calculate_move_direction(this.target.loc, my_position) || PASS;
+  };
+  /* the target we had until it is gone or clearly lost, which is when its type got
+  locked or the opponent now gets to it first though we got there first or at the
+  same time when we picked it. changing our mind every turn gets us nowhere */
+  this.keep_target = function (board, contested) {
+    var target = this.target;
+    if (!target || board[target.loc[0]][target.loc[1]] <= 0) {
+      return null;
+    }
+    if (contested.length === 0) {
+      return target;
+    }
+    var now = contested.filter(function (owned) {
+      return owned.loc[0] === target.loc[0] && owned.loc[1] === target.loc[1];
+    })[0];
+    if (!now || (now.share === 0 && target.share > 0)) {
+      return null;
+    }
+    return {loc : now.loc, fruit : now.fruit, mine : now.mine, theirs : now.theirs, share : target.share};
+  };
+  /* the fruit we get to first or at the same time as the opponent, best first by
+  the weight of its type, counting half for fruit we only tie for and less the
+  further away it is */
+  this.rank_targets = function (contested) {
+    var weights = this.type_weights(contested);
+    var score = function (owned) {
+      return weights[owned.fruit] * owned.share / (owned.mine + 1);
+    };
+    return contested.filter(function (owned) {
+      return owned.share > 0;
+    }).sort(function (a, b) {
+      return score(b) - score(a);
+    });
+  };
+  /* the candidate whose play out wins the most fruit types, the first of the best
+  ones, or null when there are none */
+  this.best_play_out = function (candidates) {
+    if (candidates.length < 2) {
+      return candidates[0] || null;
+    }
+    var best = null, best_value = -Infinity;
+    candidates.forEach(function (owned) {
+      var value = this.play_out(owned.loc);
+      if (value > best_value) {
+        best = owned;
+        best_value = value;
+      }
+    }, this);
+    return best;
+  };
+  /* plays the rest of the game out on a copy of it. we take the fruit at loc first
+  and then the closest fruit of a type that isn't locked, the opponent takes the
+  closest fruit every time like SimpleBot. how many more fruit types we end up with
+  than the opponent */
+  this.play_out = function (loc) {
+    var state = lookahead.current_state().clone(), seats = lookahead.seats();
+    var fruits = [], target = loc;
+    state.board.forEach(function (column, x) {
+      column.forEach(function (type, y) {
+        if (type > 0) {
+          fruits.push([x, y]);
         }
-        return 1;
+      });
     });
-    return paths[0];
+    /* every turn takes a fruit or gets closer to one, so the fruit are gone long before this */
+    var turns = fruits.length * (state.board.length + state.board[0].length + 1);
+    for (var turn = 0; turn < turns && !state.isTerminal(); turn++) {
+      if (!target || state.board[target[0]][target[1]] <= 0) {
+        target = this.closest_in_play_out(state, fruits, seats.me, true);
+      }
+      var moves = state.positions.map(function () { return PASS; });
+      moves[seats.me] = this.move_in_play_out(state, seats.me, target);
+      moves[seats.opponent] = this.move_in_play_out(state, seats.opponent,
+        this.closest_in_play_out(state, fruits, seats.opponent, false));
+      state.applyMoves(moves);
+    }
+    /* shares of split fruit like 1/3 aren't exact, leads closer to 0 than this are ties */
+    var value = 0, tie = 1e-9;
+    for (var i = 0; i < state.numberOfItemTypes; i++) {
+      var lead = state.collected[seats.me][i] - state.collected[seats.opponent][i];
+      value += lead > tie ? 1 : (lead < -tie ? -1 : 0);
+    }
+    return value;
+  };
+  /* the closest fruit left to a seat in a play out, only of types that aren't locked
+  if there are any of those and unlocked is set */
+  this.closest_in_play_out = function (state, fruits, seat, unlocked) {
+    var position = state.positions[seat], left = [];
+    var live = fruits.filter(function (loc) {
+      return state.board[loc[0]][loc[1]] > 0;
+    });
+    live.forEach(function (loc) {
+      var type = state.board[loc[0]][loc[1]] - 1;
+      left[type] = (left[type] || 0) + 1;
+    });
+    if (unlocked) {
+      var open = live.filter(function (loc) {
+        var type = state.board[loc[0]][loc[1]] - 1;
+        var lead = state.collected[seat][type] - Math.max.apply(null, state.collected.filter(function (c, other) {
+          return other !== seat;
+        }).map(function (collected) { return collected[type]; }));
+        return Math.abs(lead) <= left[type];
+      });
+      live = open.length > 0 ? open : live;
+    }
+    var closest = null, closest_distance = Infinity;
+    live.forEach(function (loc) {
+      var distance = lookahead.distances_from(this.distances, state.board, loc)[position[0]][position[1]];
+      if (distance < closest_distance) {
+        closest = loc;
+        closest_distance = distance;
+      }
+    }, this);
+    return closest;
+  };
+  /* a seat's move towards a fruit in a play out, TAKE once it is there. like
+  SimpleBot it goes north, south, west then east when more than one way is as short */
+  this.move_in_play_out = function (state, seat, loc) {
+    if (!loc) {
+      return PASS;
+    }
+    var position = state.positions[seat];
+    if (position[0] === loc[0] && position[1] === loc[1]) {
+      return TAKE;
+    }
+    var distances = lookahead.distances_from(this.distances, state.board, loc);
+    var steps = [[NORTH, 0, -1], [SOUTH, 0, 1], [WEST, -1, 0], [EAST, 1, 0]];
+    for (var i = 0; i < steps.length; i++) {
+      var next = [position[0] + steps[i][1], position[1] + steps[i][2]];
+      if (path_finding.is_open(state.board, next) &&
+          distances[next[0]][next[1]] === distances[position[0]][position[1]] - 1) {
+        return steps[i][0];
+      }
+    }
+    return PASS;
+  };
+  /* the fruit we can get to soonest, null if we can't get to any */
+  this.closest = function (ownership) {
+    return ownership.reduce(function (closest, owned) {
+      return owned.mine !== Infinity && (!closest || owned.mine < closest.mine) ? owned : closest;
+    }, null);
+  };
+  /* rarer types weigh more, and so do types where the counts we end up with if
+  each of us gets the fruit they reach first are close */
+  this.type_weights = function (ownership) {
+    var weights = {}, projected = {};
+    ownership.forEach(function (owned) {
+      projected[owned.fruit] = projected[owned.fruit] || {mine : 0, theirs : 0};
+      projected[owned.fruit].mine += owned.share;
+      projected[owned.fruit].theirs += 1 - owned.share;
+    });
+    Object.keys(projected).forEach(function (fruit) {
+      var mine = get_my_item_count(fruit) + projected[fruit].mine;
+      var theirs = this.opponent_item_count(fruit) + projected[fruit].theirs;
+      weights[fruit] = 1 / (1 + Math.abs(mine - theirs)) / this.win_counts[fruit];
+    }, this);
+    return weights;
+  };
+}
+
+/**
+ * The two player game on an open board, the way the real game server plays
+ * it, for lookahead to search on when there is no get_game_state. It has the
+ * parts of a GameState the search uses.
+ * @param fields The board, positions, collected, numberOfItemTypes and totalItems
+ * like a GameState has them, kept without copying.
+ */
+function Modelled_Game(fields) {
+  for (var key in fields) {
+    this[key] = fields[key];
+  }
+  this.clone = function () {
+    return new Modelled_Game({
+      board : this.board.map(function (column) { return column.slice(); }),
+      positions : this.positions.map(function (position) { return position.slice(); }),
+      collected : this.collected.map(function (collected) { return collected.slice(); }),
+      numberOfItemTypes : this.numberOfItemTypes,
+      totalItems : this.totalItems
+    });
+  };
+  this.moved = function (position, move) {
+    var x = position[0] + (move === EAST ? 1 : 0) - (move === WEST ? 1 : 0);
+    var y = position[1] + (move === SOUTH ? 1 : 0) - (move === NORTH ? 1 : 0);
+    if (x < 0 || y < 0 || x >= this.board.length || y >= this.board[0].length) {
+      return position;
+    }
+    return [x, y];
+  };
+  this.applyMoves = function (moves) {
+    var positions = this.positions, board = this.board, collected = this.collected;
+    /* bots taking the same fruit at the same time get half each */
+    var takers = positions.filter(function (position, seat) {
+      return moves[seat] === TAKE && board[position[0]][position[1]] > 0;
+    });
+    var shared = takers.length === 2 && takers[0][0] === takers[1][0] && takers[0][1] === takers[1][1];
+    var taken = positions.map(function (position) { return board[position[0]][position[1]]; });
+    positions.forEach(function (position, seat) {
+      if (moves[seat] === TAKE && taken[seat] > 0) {
+        collected[seat][taken[seat] - 1] += shared ? 0.5 : 1;
+        board[position[0]][position[1]] = 0;
+      }
+    });
+    this.positions = positions.map(function (position, seat) { return this.moved(position, moves[seat]); }, this);
+    return this;
+  };
+  this.legalMoves = function (seat) {
+    var position = this.positions[seat];
+    var moves = [EAST, NORTH, WEST, SOUTH].filter(function (move) {
+      return this.moved(position, move) !== position;
+    }, this);
+    if (this.board[position[0]][position[1]] > 0) {
+      moves.push(TAKE);
+    }
+    return moves.concat([PASS]);
+  };
+  this.isTerminal = function () {
+    return this.board.every(function (column) {
+      return column.every(function (fruit) { return fruit === 0; });
+    });
+  };
+}
+
+/**
+ * Looks a few turns ahead instead of following a plan: every turn it tries
+ * each of our moves against each of the opponent's, as deep as the time budget
+ * allows, and scores where that leads with lookahead.evaluate, averaged over
+ * the opponent's moves since it doesn't know ours when it makes its own.
+ */
+function Lookahead_Search() {
+  this.distances = null;
+  this.make_move = function (board) {
+    /* the clock starts first, everything the move does counts against the time limit */
+    this.deadline = lookahead.deadline();
+    if (!this.distances) {
+      this.distances = lookahead.distance_table(board);
+    }
+    var state = lookahead.current_state(), seats = lookahead.seats();
+    this.me = seats.me;
+    this.opponent = seats.opponent;
+    var best = PASS;
+    /* search one turn deeper at a time and keep the move of the deepest search that finished */
+    for (var depth = 1; depth <= lookahead.max_depth; depth++) {
+      this.out_of_time = false;
+      var result = this.search(state, depth);
+      if (this.out_of_time) {
+        break;
+      }
+      best = result.move;
+      if (Date.now() >= this.deadline) {
+        break;
+      }
+    }
+    return best;
+  };
+  /* the best of our moves and what it is worth. the opponent moves at the same time
+  as we do without knowing our move, so each of ours is scored by the average over
+  the opponent's replies, and other seats are assumed to pass. every turn's change
+  in the evaluation counts lookahead.discount times as much as the turn's before,
+  so good things happen sooner and bad things later. the clock is checked at every
+  state, leaves included */
+  this.search = function (state, depth) {
+    if (Date.now() >= this.deadline) {
+      this.out_of_time = true;
+      return {value : 0};
+    }
+    var value = lookahead.evaluate(state, this.me, this.distances);
+    if (depth === 0 || state.isTerminal()) {
+      return {value : value};
+    }
+    var best = {value : -Infinity, move : PASS};
+    var opponent_moves = lookahead.moves_for(state, this.opponent);
+    lookahead.moves_for(state, this.me).forEach(function (move) {
+      var total = 0;
+      for (var i = 0; i < opponent_moves.length && !this.out_of_time; i++) {
+        var moves = state.positions.map(function () { return PASS; });
+        moves[this.me] = move;
+        moves[this.opponent] = opponent_moves[i];
+        total += this.search(state.clone().applyMoves(moves), depth - 1).value;
+      }
+      var score = value + lookahead.discount * (total / opponent_moves.length - value);
+      /* equal scores keep the first move, which is TAKE when there is fruit to take */
+      if (!this.out_of_time && score > best.value) {
+        best = {value : score, move : move};
+      }
+    }, this);
+    return best;
   };
 }
 
+/**
+ * The strategies new_game can play with, by name.
+ * @type {Object}
+ */
+var strategies = {
+  Rare_Fruit_First : Rare_Fruit_First,
+  Lookahead_Search : Lookahead_Search,
+  Reach_First : Reach_First
+};
+/**
+ * The name of the strategy new_game plays with.
+ * @type {String}
+ */
+var strategy_name = "Rare_Fruit_First";
 var strategy;
 /**
  * Called every time a new game starts. Currently it creates a new
@@ -472,9 +1168,7 @@ var strategy;
  */
 function new_game() {
   /* initialize new strategy instance */
-  strategy = create_strategy_instance(Rare_Fruit_First);
-  /* reset refinement cache */
-  path_construction.single_refinement_step_cache = {};
+  strategy = create_strategy_instance(strategies[strategy_name]);
 }
 
 /**
@@ -484,4 +1178,20 @@ function new_game() {
  */
 function make_move() {
   return strategy.make_move(get_board());
-}
\ No newline at end of file
+}
+/* lets game.html and match.js seat every strategy directly, with its own
+instance per seat so it can play either seat or even against itself.
+the real game server only calls new_game and make_move. */
+if (typeof Bots !== 'undefined') {
+  Object.keys(strategies).forEach(function (name) {
+    Bots.register({
+      name : name,
+      newGame : function () {
+        this.strategy = create_strategy_instance(strategies[name]);
+      },
+      makeMove : function () {
+        return this.strategy.make_move(get_board());
+      }
+    });
+  });
+}